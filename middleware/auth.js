@@ -1,6 +1,19 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Tokens issued before a password change or "log out everywhere" no longer
+// count. Tokens without `issuedAt` fall back to iat, whole seconds only.
+const issueTime = (decoded) => new Date(decoded.issuedAt || decoded.iat * 1000);
+
+const isRevoked = (user, decoded) => Boolean(user && user.isTokenRevoked(issueTime(decoded)));
+
+// Reactivate a user whose suspension has ended before checking isActive
+const refreshSuspension = async (user) => {
+  if (user && user.liftExpiredSuspension()) {
+    await user.save({ validateModifiedOnly: true });
+  }
+};
+
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -12,7 +25,23 @@ const authenticateToken = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.userId).select('-password');
-    
+
+    if (isRevoked(user, decoded)) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
+    await refreshSuspension(user);
+
+    if (user && !user.isActive) {
+      const restriction = user.getRestriction();
+      if (restriction) {
+        return res.status(403).json({
+          message: user.getRestrictionMessage(),
+          restriction
+        });
+      }
+    }
+
     if (!user || !user.isActive) {
       return res.status(401).json({ message: 'Invalid token or user not found' });
     }
@@ -32,7 +61,8 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select('-password');
-      if (user && user.isActive) {
+      await refreshSuspension(user);
+      if (user && user.isActive && !isRevoked(user, decoded)) {
         req.user = user;
       }
     }
@@ -43,6 +73,15 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// EventSource cannot send headers, so streaming routes accept ?token=<jwt>
+// and hand it to the regular header-based checks
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -60,5 +99,6 @@ const requireRole = (roles) => {
 module.exports = {
   authenticateToken,
   optionalAuth,
+  allowQueryToken,
   requireRole
 };
\ No newline at end of file
@@ -40,6 +40,14 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
 const validateThread = [
   body('title')
     .isLength({ min: 5, max: 200 })
@@ -56,6 +64,61 @@ const validateThread = [
     .optional()
     .isArray({ max: 5 })
     .withMessage('Maximum 5 tags allowed'),
+  body('attachments')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Maximum 10 attachments allowed'),
+  body('attachments.*')
+    .isMongoId()
+    .withMessage('Attachments must be attachment IDs'),
+  body('poll')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Poll must be an object'),
+  body('poll.question')
+    .if(body('poll').exists({ checkNull: true }))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Poll question must be between 1 and 300 characters'),
+  body('poll.options')
+    .if(body('poll').exists({ checkNull: true }))
+    .isArray({ min: 2, max: 10 })
+    .withMessage('Poll must have between 2 and 10 options')
+    .bail()
+    .custom(options => new Set(options.map(option => String(option).trim().toLowerCase())).size === options.length)
+    .withMessage('Poll options must be different'),
+  body('poll.options.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Poll options must be between 1 and 100 characters'),
+  body('poll.allowMultiple')
+    .optional()
+    .isBoolean()
+    .withMessage('allowMultiple must be a boolean')
+    .toBoolean(),
+  body('poll.showResultsBeforeVoting')
+    .optional()
+    .isBoolean()
+    .withMessage('showResultsBeforeVoting must be a boolean')
+    .toBoolean(),
+  body('poll.closesAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Poll close date must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Poll close date must be in the future'),
+  handleValidationErrors
+];
+
+const validatePollVote = [
+  body('options')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Choose between 1 and 10 options'),
+  body('options.*')
+    .isMongoId()
+    .withMessage('Options must be option IDs'),
   handleValidationErrors
 ];
 
@@ -64,6 +127,13 @@ const validateReply = [
     .isLength({ min: 1, max: 5000 })
     .withMessage('Reply content must be between 1 and 5000 characters')
     .trim(),
+  body('attachments')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Maximum 10 attachments allowed'),
+  body('attachments.*')
+    .isMongoId()
+    .withMessage('Attachments must be attachment IDs'),
   handleValidationErrors
 ];
 
@@ -77,14 +147,180 @@ const validateCategory = [
     .isLength({ max: 200 })
     .withMessage('Description cannot exceed 200 characters')
     .trim(),
+  body('isQnA')
+    .optional()
+    .isBoolean()
+    .withMessage('isQnA must be a boolean')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+const validateSubscription = [
+  body('frequency')
+    .optional()
+    .isIn(['daily', 'weekly'])
+    .withMessage('Frequency must be daily or weekly'),
+  handleValidationErrors
+];
+
+const validateBookmark = [
+  body('folder')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Folder name must be between 1 and 50 characters'),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateReport = [
+  body('reason')
+    .isIn(['spam', 'abuse', 'off-topic', 'other'])
+    .withMessage('Reason must be one of: spam, abuse, off-topic, other'),
+  body('details')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+const validateReportResolution = [
+  body('action')
+    .isIn(['dismiss', 'remove', 'warn'])
+    .withMessage('Action must be one of: dismiss, remove, warn'),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+const validatePin = [
+  body('scope')
+    .optional()
+    .isIn(['global', 'category'])
+    .withMessage('Scope must be global or category'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+const validateLock = [
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+const validateMove = [
+  body('categoryId')
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+const validateConversation = [
+  body('recipients')
+    .isArray({ min: 1, max: 9 })
+    .withMessage('Choose between 1 and 9 recipients'),
+  body('recipients.*')
+    .isMongoId()
+    .withMessage('Recipients must be user IDs'),
+  body('subject')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Subject cannot exceed 100 characters'),
+  body('content')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Message must be between 1 and 5000 characters'),
+  handleValidationErrors
+];
+
+const validateMessage = [
+  body('content')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Message must be between 1 and 5000 characters'),
+  handleValidationErrors
+];
+
+const validateSuspension = [
+  body('until')
+    .isISO8601()
+    .withMessage('Suspension end must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Suspension end must be in the future'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason must be between 1 and 500 characters'),
+  handleValidationErrors
+];
+
+const validateBan = [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason must be between 1 and 500 characters'),
+  handleValidationErrors
+];
+
+const validateRoleChange = [
+  body('role')
+    .isIn(['user', 'moderator', 'admin'])
+    .withMessage('Role must be user, moderator or admin'),
   handleValidationErrors
 ];
 
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateRefreshToken,
   validateThread,
   validateReply,
   validateCategory,
+  validateSubscription,
+  validateBookmark,
+  validateReport,
+  validateReportResolution,
+  validatePollVote,
+  validatePin,
+  validateLock,
+  validateMove,
+  validateConversation,
+  validateMessage,
+  validateSuspension,
+  validateBan,
+  validateRoleChange,
   handleValidationErrors
 };
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// An uploaded file. It starts out unattached and is linked to a thread or
+// reply when the post is created or edited; unattached uploads are cleaned up.
+const attachmentSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    default: null
+  },
+  // Set for reply attachments, which also carry their reply's thread
+  reply: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply',
+    default: null
+  },
+  filename: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  // Sniffed from the file content
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  width: Number,
+  height: Number,
+  attachedAt: Date
+}, {
+  timestamps: true
+});
+
+attachmentSchema.index({ thread: 1, reply: 1, createdAt: 1 });
+attachmentSchema.index({ reply: 1 });
+attachmentSchema.index({ uploader: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Badge definitions. The rules that award them live in utils/badges.js, which
+// keeps these documents in sync with its definitions.
+const badgeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  tier: {
+    type: String,
+    enum: ['bronze', 'silver', 'gold'],
+    default: 'bronze'
+  },
+  // Number of users holding the badge
+  awardedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Badge', badgeSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    required: true
+  },
+  // Optional named folder; null keeps the bookmark unfiled
+  folder: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+bookmarkSchema.index({ user: 1, thread: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, folder: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
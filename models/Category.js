@@ -20,6 +20,11 @@ const categorySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Threads in a Q&A category are questions that can have an accepted answer
+  isQnA: {
+    type: Boolean,
+    default: false
+  },
   threadCount: {
     type: Number,
     default: 0
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const participantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Messages created after this are unread for the participant
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Muted conversations send no notifications
+  isMuted: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the participant leaves; they no longer see or receive messages
+  leftAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  participants: [participantSchema],
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ 'participants.user': 1, lastMessageAt: -1 });
+
+// Participant users may be populated
+const participantId = (participant) => (participant.user._id || participant.user).toString();
+
+// The participant entry for a user who has not left, or null
+conversationSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(participant => (
+    participantId(participant) === userId.toString() && !participant.leftAt
+  )) || null;
+};
+
+// Ids of the participants who have not left
+conversationSchema.methods.activeParticipantIds = function() {
+  return this.participants
+    .filter(participant => !participant.leftAt)
+    .map(participant => participant.user._id || participant.user);
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
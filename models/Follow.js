@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A user following another user, a tag or a category; their new posts show
+// up in the follower's feed
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'tag', 'category'],
+    required: true
+  },
+  // User, Tag or Category depending on targetType
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+followSchema.index({ follower: 1, targetType: 1, target: 1 }, { unique: true });
+followSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['reply', 'mention', 'vote', 'moderation', 'badge', 'answer', 'message'],
+    required: true
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread'
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  // Reply the notification is about (the latest one for grouped notifications)
+  reply: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply'
+  },
+  // Users who caused the notification, e.g. everyone who replied
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Number of events merged into this notification
+  count: {
+    type: Number,
+    default: 1
+  },
+  // Unread notifications with the same key are merged; null means never merge
+  groupKey: {
+    type: String,
+    default: null
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, isRead: 1, updatedAt: -1 });
+// At most one unread notification per group, so concurrent events merge into it
+notificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { isRead: false, groupKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A user's ballot in a thread's poll. Each user votes once per poll.
+const pollBallotSchema = new mongoose.Schema({
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Ids of the chosen poll options
+  choices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+pollBallotSchema.index({ thread: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PollBallot', pollBallotSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A long-lived refresh token. Only a hash of the token is stored. Every use
+// rotates it: the token is marked used and a new one is issued in the same
+// family, so presenting a used token again gives away a stolen copy.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Shared by every token rotated from the same login
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Expired tokens are kept until then so reuse can still be detected
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const votable = require('./plugins/votable');
+const mentionable = require('./plugins/mentionable');
+const softDeletable = require('./plugins/softDeletable');
+
+const replySchema = new mongoose.Schema({
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  parentReply: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply',
+    default: null
+  },
+  // Materialized path: ids of every reply above this one, root first
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply'
+  }],
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // Number of direct child replies
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: Date,
+  // Set when a deleted reply with children is purged: its content is gone for
+  // good and the document only remains as a placeholder in the tree
+  purgedAt: Date,
+  // Copy of the thread's isDeleted, so searches and reply routes can skip replies in the trash
+  // without looking up their threads
+  threadDeleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+replySchema.plugin(votable);
+replySchema.plugin(mentionable);
+replySchema.plugin(softDeletable);
+
+replySchema.index({ thread: 1, parentReply: 1, createdAt: 1, _id: 1 });
+replySchema.index({ ancestors: 1 });
+replySchema.index({ author: 1 });
+replySchema.index({ content: 'text' }, { name: 'reply_text' });
+
+module.exports = mongoose.model('Reply', replySchema);
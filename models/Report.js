@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const reportEntrySchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'abuse', 'off-topic', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One moderation queue entry per reported thread or reply; further reports
+// on the same content are merged into it while it is open
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['thread', 'reply'],
+    required: true
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    required: true
+  },
+  reply: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply',
+    default: null
+  },
+  // Copied from the thread so the queue can be filtered by category
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  contentAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reports: [reportEntrySchema],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'removed', 'warned'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolutionNote: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ status: 1, reportCount: -1, updatedAt: -1 });
+reportSchema.index({ thread: 1, reply: 1, status: 1 });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Ledger of reputation changes. A user's reputation is the sum of the amounts
+// of their events (never below zero), so it can always be rebuilt from here.
+const reputationEventSchema = new mongoose.Schema({
+  // Whose reputation changes
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What caused the change: a vote, an accepted answer, or the reputation a
+  // user already had when the ledger was introduced
+  source: {
+    type: String,
+    enum: ['vote', 'accept', 'baseline'],
+    required: true
+  },
+  // The user whose action caused the change, e.g. the voter
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  postType: {
+    type: String,
+    enum: ['thread', 'reply', null],
+    default: null
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // e.g. upvote, downvote, upvote.removed, downvote.changed, accept, accept.removed
+  reason: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+reputationEventSchema.index({ user: 1, createdAt: -1 });
+reputationEventSchema.index({ postType: 1, post: 1 });
+
+module.exports = mongoose.model('ReputationEvent', reputationEventSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One stored version of a thread or reply. Revision 1 is the original post;
+// every edit or rollback adds the next number.
+const revisionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['thread', 'reply'],
+    required: true
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    required: true
+  },
+  reply: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply',
+    default: null
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  // Threads only
+  title: String,
+  content: {
+    type: String,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'edit', 'rollback'],
+    default: 'edit'
+  },
+  // Revision number a rollback restored
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+revisionSchema.index({ thread: 1, reply: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('Revision', revisionSchema);
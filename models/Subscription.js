@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['thread', 'category'],
+    required: true
+  },
+  // Thread or Category depending on targetType
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    default: 'daily'
+  },
+  // Activity after this date goes into the next digest
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true });
+subscriptionSchema.index({ frequency: 1, user: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -1,45 +1,79 @@
 const mongoose = require('mongoose');
+const votable = require('./plugins/votable');
+const mentionable = require('./plugins/mentionable');
+const softDeletable = require('./plugins/softDeletable');
 
-const voteSchema = new mongoose.Schema({
-  user: {
+const moderationEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['pin', 'unpin', 'lock', 'unlock', 'move', 'auto-lock'],
+    required: true
+  },
+  // Null for automatic actions
+  moderator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
   },
-  type: {
+  reason: {
     type: String,
-    enum: ['upvote', 'downvote'],
-    required: true
+    maxlength: 200
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 }, { _id: false });
 
-const replySchema = new mongoose.Schema({
-  author: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
   },
-  content: {
+  // Number of ballots that chose this option
+  votes: {
+    type: Number,
+    default: 0
+  }
+});
+
+const pollSchema = new mongoose.Schema({
+  question: {
     type: String,
     required: true,
-    maxlength: 5000
+    trim: true,
+    maxlength: 300
   },
-  votes: [voteSchema],
-  parentReply: {
-    type: mongoose.Schema.Types.ObjectId,
-    default: null
+  options: {
+    type: [pollOptionSchema],
+    validate: {
+      validator: options => options.length >= 2 && options.length <= 10,
+      message: 'A poll needs between 2 and 10 options'
+    }
   },
-  replies: [this], // Self-reference for nested replies
-  isEdited: {
+  allowMultiple: {
     type: Boolean,
     default: false
   },
-  editedAt: Date,
-  createdAt: {
+  // When false, tallies are hidden until the user has voted or the poll has closed
+  showResultsBeforeVoting: {
+    type: Boolean,
+    default: true
+  },
+  closesAt: {
     type: Date,
-    default: Date.now
+    default: null
+  },
+  totalBallots: {
+    type: Number,
+    default: 0
   }
-});
+}, { _id: false });
 
 const threadSchema = new mongoose.Schema({
   title: {
@@ -67,8 +101,11 @@ const threadSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tag'
   }],
-  votes: [voteSchema],
-  replies: [replySchema],
+  // Total number of replies at every depth, stored in the Reply collection
+  replyCount: {
+    type: Number,
+    default: 0
+  },
   views: {
     type: Number,
     default: 0
@@ -77,10 +114,63 @@ const threadSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // 'category' pins only lead their category's listing; 'global' pins lead every listing
+  pinScope: {
+    type: String,
+    enum: ['global', 'category', null],
+    default: null
+  },
+  // Sort key for listings across all categories
+  pinnedGlobally: {
+    type: Boolean,
+    default: false
+  },
+  pinExpiresAt: Date,
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pinnedAt: Date,
   isLocked: {
     type: Boolean,
     default: false
   },
+  // Shown to readers of a locked thread
+  lockReason: {
+    type: String,
+    maxlength: 200
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lockedAt: Date,
+  moderationLog: [moderationEntrySchema],
+  // Optional poll; ballots are stored in the PollBallot collection
+  poll: {
+    type: pollSchema,
+    default: null
+  },
+  // Set for threads started in (or moved into) a Q&A category
+  isQuestion: {
+    type: Boolean,
+    default: false
+  },
+  // Top-level reply chosen as the answer by the author or a moderator
+  acceptedAnswer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply',
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  isSolved: {
+    type: Boolean,
+    default: false
+  },
   isEdited: {
     type: Boolean,
     default: false
@@ -94,24 +184,20 @@ const threadSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Virtual for vote score
-threadSchema.virtual('voteScore').get(function() {
-  const upvotes = this.votes.filter(vote => vote.type === 'upvote').length;
-  const downvotes = this.votes.filter(vote => vote.type === 'downvote').length;
-  return upvotes - downvotes;
-});
+threadSchema.plugin(votable);
+threadSchema.plugin(mentionable);
+threadSchema.plugin(softDeletable);
 
-// Virtual for reply count
-threadSchema.virtual('replyCount').get(function() {
-  return this.replies.length;
-});
-
-// Update lastActivity when replies are added
-threadSchema.pre('save', function(next) {
-  if (this.isModified('replies')) {
-    this.lastActivity = new Date();
-  }
-  next();
-});
+threadSchema.index({ voteScore: -1, createdAt: -1 });
+threadSchema.index({ hotScore: -1 });
+threadSchema.index({ controversyScore: -1, createdAt: -1 });
+threadSchema.index({ createdAt: -1 });
+threadSchema.index({ isPinned: 1, pinExpiresAt: 1 });
+threadSchema.index({ isLocked: 1, lastActivity: 1 });
+threadSchema.index({ isQuestion: 1, isSolved: 1, lastActivity: -1 });
+threadSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 5, content: 1 }, name: 'thread_text' }
+);
 
-module.exports = mongoose.model('Thread', threadSchema);
\ No newline at end of file
+module.exports = mongoose.model('Thread', threadSchema);
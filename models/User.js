@@ -39,6 +39,30 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Temporary suspension; isActive is false until it ends
+  suspendedUntil: Date,
+  suspensionReason: {
+    type: String,
+    maxlength: 500
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Permanent ban; isActive stays false until the ban is lifted
+  isBanned: {
+    type: Boolean,
+    default: false
+  },
+  banReason: {
+    type: String,
+    maxlength: 500
+  },
+  bannedAt: Date,
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   role: {
     type: String,
     enum: ['user', 'moderator', 'admin'],
@@ -51,11 +75,22 @@ const userSchema = new mongoose.Schema({
   lastActive: {
     type: Date,
     default: Date.now
-  }
+  },
+  // Distinct days (UTC) with a new thread or reply, counted as they happen
+  activeDays: {
+    type: Number,
+    default: 0
+  },
+  lastActiveDay: String,
+  passwordChangedAt: Date,
+  // Set by "log out everywhere"; tokens issued before it are rejected
+  tokensValidAfter: Date
 }, {
   timestamps: true
 });
 
+userSchema.index({ isActive: 1, suspendedUntil: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -63,6 +98,9 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -74,6 +112,82 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether a token issued at `issuedAt` predates a password change or a "log
+// out everywhere". Compared to the millisecond; a token issued in the same
+// millisecond as the cutoff counts as revoked.
+userSchema.methods.isTokenRevoked = function(issuedAt) {
+  const cutoffs = [this.passwordChangedAt, this.tokensValidAfter].filter(Boolean);
+  if (cutoffs.length === 0) {
+    return false;
+  }
+
+  return issuedAt.getTime() <= Math.max(...cutoffs.map(date => date.getTime()));
+};
+
+// Current ban or suspension, or null when the account is not restricted
+userSchema.methods.getRestriction = function() {
+  if (this.isBanned) {
+    return { type: 'banned', reason: this.banReason || null, until: null };
+  }
+  if (this.suspendedUntil && this.suspendedUntil > new Date()) {
+    return { type: 'suspended', reason: this.suspensionReason || null, until: this.suspendedUntil };
+  }
+  return null;
+};
+
+// Reactivate the account if its suspension has ended. Returns true when it changed (caller saves).
+userSchema.methods.liftExpiredSuspension = function() {
+  if (this.isActive || this.isBanned || !this.suspendedUntil || this.suspendedUntil > new Date()) {
+    return false;
+  }
+
+  this.isActive = true;
+  this.suspendedUntil = undefined;
+  this.suspensionReason = undefined;
+  this.suspendedBy = undefined;
+  return true;
+};
+
+// Whether the account can be used: active, or suspended with the suspension
+// already over but not yet lifted. Lets reads skip the write that lifts it.
+userSchema.methods.isAccountActive = function(now = new Date()) {
+  return Boolean(this.isActive || (!this.isBanned && this.suspendedUntil && this.suspendedUntil <= now));
+};
+
+// Query condition matching the same accounts as isAccountActive
+userSchema.statics.activeFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { isActive: true },
+      { isBanned: { $ne: true }, suspendedUntil: { $lte: now } }
+    ]
+  };
+};
+
+// Reactivate every account whose suspension has ended; run by utils/userMaintenance.js
+userSchema.statics.liftExpiredSuspensions = function() {
+  return this.updateMany(
+    { isActive: false, isBanned: { $ne: true }, suspendedUntil: { $lte: new Date() } },
+    {
+      $set: { isActive: true },
+      $unset: { suspendedUntil: '', suspensionReason: '', suspendedBy: '' }
+    }
+  );
+};
+
+// Message shown to a restricted user instead of a generic auth error
+userSchema.methods.getRestrictionMessage = function() {
+  const restriction = this.getRestriction();
+  if (!restriction) {
+    return null;
+  }
+
+  const reason = restriction.reason ? ` Reason: ${restriction.reason}` : '';
+  return restriction.type === 'banned'
+    ? `Your account has been banned.${reason}`
+    : `Your account is suspended until ${restriction.until.toISOString()}.${reason}`;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A badge earned by a user. Each badge can be earned once per user.
+const userBadgeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  badge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Badge',
+    required: true
+  },
+  awardedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userBadgeSchema.index({ user: 1, badge: 1 }, { unique: true });
+userBadgeSchema.index({ badge: 1, awardedAt: -1 });
+
+module.exports = mongoose.model('UserBadge', userBadgeSchema);
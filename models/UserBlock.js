@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// `blocker` has blocked `blocked`. The blocker no longer sees the blocked user's
+// posts, and the blocked user cannot message or mention the blocker.
+const userBlockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+userBlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+userBlockSchema.index({ blocked: 1 });
+
+module.exports = mongoose.model('UserBlock', userBlockSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// `muter` has muted `muted`. Their posts are still shown to the muter, but collapsed.
+const userMuteSchema = new mongoose.Schema({
+  muter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  muted: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+userMuteSchema.index({ muter: 1, muted: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserMute', userMuteSchema);
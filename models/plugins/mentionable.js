@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const mentionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Username as written in the content; the user reference stays valid after renames
+  username: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Adds resolved @mentions to a schema with user-written content
+const mentionable = (schema) => {
+  schema.add({
+    mentions: [mentionSchema]
+  });
+};
+
+module.exports = mentionable;
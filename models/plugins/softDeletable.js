@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Adds soft deletion: deleted documents stay in the collection (so they can be
+// restored) until a purge job removes them for good
+const softDeletable = (schema) => {
+  schema.add({
+    isDeleted: {
+      type: Boolean,
+      default: false
+    },
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ isDeleted: 1, deletedAt: 1 });
+
+  // Documents created before soft deletion have no isDeleted field, so match on "not true"
+  schema.query.notDeleted = function() {
+    return this.where({ isDeleted: { $ne: true } });
+  };
+
+  schema.methods.markDeleted = function(userId) {
+    this.isDeleted = true;
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+  };
+
+  schema.methods.markRestored = function() {
+    this.isDeleted = false;
+    this.deletedAt = undefined;
+    this.deletedBy = undefined;
+  };
+};
+
+module.exports = softDeletable;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { hotScore, controversyScore } = require('../../utils/ranking');
+
+const voteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['upvote', 'downvote'],
+    required: true
+  }
+}, { _id: false });
+
+// Adds votes with stored counts and ranking scores to a schema
+const votable = (schema) => {
+  schema.add({
+    votes: [voteSchema],
+    voteScore: {
+      type: Number,
+      default: 0
+    },
+    upvoteCount: {
+      type: Number,
+      default: 0
+    },
+    downvoteCount: {
+      type: Number,
+      default: 0
+    },
+    hotScore: {
+      type: Number,
+      default: 0
+    },
+    controversyScore: {
+      type: Number,
+      default: 0
+    }
+  });
+
+  // Recalculate stored vote counts and ranking scores from the votes array
+  schema.methods.syncVoteCounts = function() {
+    this.upvoteCount = this.votes.filter(vote => vote.type === 'upvote').length;
+    this.downvoteCount = this.votes.filter(vote => vote.type === 'downvote').length;
+    this.voteScore = this.upvoteCount - this.downvoteCount;
+    this.hotScore = hotScore(this.upvoteCount, this.downvoteCount, this.createdAt || new Date());
+    this.controversyScore = controversyScore(this.upvoteCount, this.downvoteCount);
+  };
+
+  // Add, switch or remove (when repeating the same type) a user's vote.
+  // Returns the change in score caused by the vote.
+  schema.methods.applyVote = function(userId, type) {
+    const existingVoteIndex = this.votes.findIndex(
+      vote => vote.user.toString() === userId.toString()
+    );
+
+    if (existingVoteIndex !== -1) {
+      const existingVote = this.votes[existingVoteIndex];
+
+      if (existingVote.type === type) {
+        // Remove vote if same type
+        this.votes.splice(existingVoteIndex, 1);
+        return type === 'upvote' ? -1 : 1;
+      }
+
+      // Change vote type
+      existingVote.type = type;
+      return type === 'upvote' ? 2 : -2;
+    }
+
+    // Add new vote
+    this.votes.push({ user: userId, type });
+    return type === 'upvote' ? 1 : -1;
+  };
+
+  schema.methods.getUserVote = function(userId) {
+    const vote = this.votes.find(v => v.user.toString() === userId.toString());
+    return vote ? vote.type : null;
+  };
+
+  // Keep vote counts in sync whenever votes change
+  schema.pre('save', function(next) {
+    if (this.isNew || this.isModified('votes')) {
+      this.syncVoteCounts();
+    }
+    next();
+  });
+};
+
+module.exports = votable;
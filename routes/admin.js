@@ -0,0 +1,375 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateSuspension, validateBan, validateRoleChange } = require('../middleware/validation');
+const { notifyModeration } = require('../utils/notifications');
+const { snapshot, recordAudit, toCsv } = require('../utils/audit');
+const { escapeRegex } = require('../utils/search');
+
+const router = express.Router();
+
+const ROLE_RANK = {
+  user: 0,
+  moderator: 1,
+  admin: 2
+};
+
+const requireModerator = requireRole(['moderator', 'admin']);
+const requireAdmin = requireRole(['admin']);
+
+// Most entries a single CSV export returns
+const AUDIT_EXPORT_LIMIT = 10000;
+
+const formatAccount = (user) => ({
+  id: user._id,
+  username: user.username,
+  role: user.role,
+  isActive: user.isAccountActive(),
+  restriction: user.getRestriction(),
+  suspendedBy: user.suspendedBy,
+  bannedAt: user.bannedAt,
+  bannedBy: user.bannedBy
+});
+
+// Load the target user and make sure the acting user outranks them
+const loadTarget = async (req, res, next) => {
+  try {
+    const target = await User.findById(req.params.userId).select('-password');
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (target._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own account status' });
+    }
+
+    if (ROLE_RANK[target.role] >= ROLE_RANK[req.user.role]) {
+      return res.status(403).json({ message: 'You can only act on users below your role' });
+    }
+
+    req.target = target;
+    req.targetSnapshot = snapshot('user', target);
+    next();
+  } catch (error) {
+    console.error('Load user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// List restricted accounts
+router.get('/users', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const { status = 'restricted', q } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status === 'suspended') {
+      query.isBanned = { $ne: true };
+      query.suspendedUntil = { $gt: new Date() };
+    } else if (status === 'banned') {
+      query.isBanned = true;
+    } else if (status === 'restricted') {
+      query.$nor = [User.activeFilter()];
+    } else if (['user', 'moderator', 'admin'].includes(status)) {
+      query.role = status;
+    }
+    if (q) {
+      query.username = { $regex: q, $options: 'i' };
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users: users.map(formatAccount),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get restricted users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suspend a user until a given date
+router.post('/users/:userId/suspend', authenticateToken, requireModerator, validateSuspension, loadTarget, async (req, res) => {
+  try {
+    const { until, reason } = req.body;
+    const user = req.target;
+
+    if (user.isBanned) {
+      return res.status(400).json({ message: 'User is banned' });
+    }
+
+    user.isActive = false;
+    user.suspendedUntil = new Date(until);
+    user.suspensionReason = reason;
+    user.suspendedBy = req.user._id;
+    await user.save({ validateModifiedOnly: true });
+
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      target: user._id,
+      before: req.targetSnapshot,
+      after: snapshot('user', user),
+      reason
+    });
+
+    res.json({
+      message: 'User suspended',
+      user: formatAccount(user)
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a suspension early
+router.delete('/users/:userId/suspend', authenticateToken, requireModerator, loadTarget, async (req, res) => {
+  try {
+    const user = req.target;
+
+    if (!user.suspendedUntil) {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+
+    user.suspendedUntil = undefined;
+    user.suspensionReason = undefined;
+    user.suspendedBy = undefined;
+    user.isActive = !user.isBanned;
+    await user.save({ validateModifiedOnly: true });
+
+    await recordAudit(req, {
+      action: 'user.unsuspend',
+      targetType: 'user',
+      target: user._id,
+      before: req.targetSnapshot,
+      after: snapshot('user', user)
+    });
+
+    await notifyModeration({
+      recipient: user._id,
+      actor: req.user._id,
+      message: 'Your suspension has been lifted'
+    });
+
+    res.json({
+      message: 'Suspension lifted',
+      user: formatAccount(user)
+    });
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Permanently ban a user
+router.post('/users/:userId/ban', authenticateToken, requireModerator, validateBan, loadTarget, async (req, res) => {
+  try {
+    const user = req.target;
+
+    if (user.isBanned) {
+      return res.status(400).json({ message: 'User is already banned' });
+    }
+
+    user.isActive = false;
+    user.isBanned = true;
+    user.banReason = req.body.reason;
+    user.bannedAt = new Date();
+    user.bannedBy = req.user._id;
+    // A ban replaces any running suspension
+    user.suspendedUntil = undefined;
+    user.suspensionReason = undefined;
+    user.suspendedBy = undefined;
+    await user.save({ validateModifiedOnly: true });
+
+    await recordAudit(req, {
+      action: 'user.ban',
+      targetType: 'user',
+      target: user._id,
+      before: req.targetSnapshot,
+      after: snapshot('user', user),
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'User banned',
+      user: formatAccount(user)
+    });
+  } catch (error) {
+    console.error('Ban user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a ban
+router.delete('/users/:userId/ban', authenticateToken, requireModerator, loadTarget, async (req, res) => {
+  try {
+    const user = req.target;
+
+    if (!user.isBanned) {
+      return res.status(400).json({ message: 'User is not banned' });
+    }
+
+    user.isBanned = false;
+    user.banReason = undefined;
+    user.bannedAt = undefined;
+    user.bannedBy = undefined;
+    user.isActive = true;
+    await user.save({ validateModifiedOnly: true });
+
+    await recordAudit(req, {
+      action: 'user.unban',
+      targetType: 'user',
+      target: user._id,
+      before: req.targetSnapshot,
+      after: snapshot('user', user)
+    });
+
+    await notifyModeration({
+      recipient: user._id,
+      actor: req.user._id,
+      message: 'Your ban has been lifted'
+    });
+
+    res.json({
+      message: 'Ban lifted',
+      user: formatAccount(user)
+    });
+  } catch (error) {
+    console.error('Unban user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Promote or demote a user
+router.patch('/users/:userId/role', authenticateToken, requireAdmin, validateRoleChange, loadTarget, async (req, res) => {
+  try {
+    const { role } = req.body;
+    const user = req.target;
+
+    if (user.role === role) {
+      return res.status(400).json({ message: `User is already a ${role}` });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateModifiedOnly: true });
+
+    await recordAudit(req, {
+      action: 'user.role',
+      targetType: 'user',
+      target: user._id,
+      before: req.targetSnapshot,
+      after: snapshot('user', user)
+    });
+
+    await notifyModeration({
+      recipient: user._id,
+      actor: req.user._id,
+      message: ROLE_RANK[role] > ROLE_RANK[previousRole]
+        ? `You have been promoted to ${role}`
+        : `Your role has been changed to ${role}`
+    });
+
+    res.json({
+      message: 'Role updated',
+      user: formatAccount(user)
+    });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Browse the audit log, or export it as CSV with ?format=csv
+router.get('/audit-log', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { actor, action, targetType, target, from, to, format } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    for (const id of [actor, target]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: 'Invalid ID filter' });
+      }
+    }
+
+    const query = {};
+    if (actor) query.actor = actor;
+    // "thread" matches every thread action, "thread.lock" only locks
+    if (action) query.action = action.includes('.') ? action : { $regex: `^${escapeRegex(action)}\\.` };
+    if (targetType) query.targetType = targetType;
+    if (target) query.target = target;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: 'Invalid date filter' });
+      }
+    }
+
+    if (format === 'csv') {
+      const entries = await AuditLog.find(query)
+        .populate('actor', 'username')
+        .sort({ createdAt: -1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .lean();
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(toCsv(entries));
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'username role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries: entries.map(entry => ({
+        id: entry._id,
+        actor: entry.actor,
+        action: entry.action,
+        targetType: entry.targetType,
+        target: entry.target,
+        targetLabel: entry.targetLabel,
+        before: entry.before,
+        after: entry.after,
+        reason: entry.reason,
+        ip: entry.ip,
+        createdAt: entry.createdAt
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
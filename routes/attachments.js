@@ -0,0 +1,159 @@
+const express = require('express');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { getStorage } = require('../utils/storage');
+const { AttachmentError, MAX_UPLOAD_SIZE, storeUpload, formatAttachment, removeAttachments } = require('../utils/attachments');
+
+const router = express.Router();
+
+// Files are buffered in memory so their content can be sniffed before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 }
+}).single('file');
+
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ message: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+};
+
+// Find an attachment that the current user may see. Unattached uploads are
+// private to their uploader; attachments of deleted posts are hidden.
+const loadVisibleAttachment = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.attachmentId)) {
+    return null;
+  }
+
+  const attachment = await Attachment.findById(req.params.attachmentId);
+  if (!attachment) {
+    return null;
+  }
+
+  if (!attachment.thread) {
+    return req.user && attachment.uploader.toString() === req.user._id.toString() ? attachment : null;
+  }
+
+  const thread = await Thread.findById(attachment.thread).notDeleted().select('_id');
+  if (!thread) {
+    return null;
+  }
+
+  if (attachment.reply) {
+    const reply = await Reply.findById(attachment.reply).notDeleted().select('_id');
+    if (!reply) {
+      return null;
+    }
+  }
+
+  return attachment;
+};
+
+const streamFile = (res, key, next) => {
+  const stream = getStorage().createReadStream(key);
+  stream.on('error', (error) => {
+    if (error.code === 'ENOENT' && !res.headersSent) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    next(error);
+  });
+  stream.pipe(res);
+};
+
+// Upload a file; attach it by passing its id in a thread or reply's `attachments`
+router.post('/', authenticateToken, handleUpload, async (req, res) => {
+  try {
+    const attachment = await storeUpload(req.user, req.file);
+
+    res.status(201).json({
+      message: 'File uploaded',
+      attachment: formatAttachment(attachment)
+    });
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download an attachment
+router.get('/:attachmentId', optionalAuth, async (req, res, next) => {
+  try {
+    const attachment = await loadVisibleAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    // Images display inline; anything else downloads
+    const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'Cache-Control': 'private, max-age=86400'
+    });
+    streamFile(res, attachment.storageKey, next);
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download an image attachment's thumbnail
+router.get('/:attachmentId/thumbnail', optionalAuth, async (req, res, next) => {
+  try {
+    const attachment = await loadVisibleAttachment(req);
+    if (!attachment || !attachment.thumbnailKey) {
+      return res.status(404).json({ message: 'Thumbnail not found' });
+    }
+
+    res.set({
+      'Content-Type': 'image/webp',
+      'Cache-Control': 'private, max-age=86400'
+    });
+    streamFile(res, attachment.thumbnailKey, next);
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete one of your uploads that is not attached to a post
+router.delete('/:attachmentId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.attachmentId)) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, uploader: req.user._id });
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    if (attachment.thread) {
+      return res.status(400).json({ message: 'Remove the attachment from its post by editing the post' });
+    }
+
+    await removeAttachments({ _id: attachment._id });
+
+    res.json({ message: 'Attachment deleted' });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,17 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
+const { validateRegistration, validateLogin, validateRefreshToken } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens
+} = require('../utils/tokens');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
-
 // Register new user
 router.post('/register', validateRegistration, async (req, res) => {
   try {
@@ -31,12 +32,13 @@ router.post('/register', validateRegistration, async (req, res) => {
     const user = new User({ username, email, password });
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate a short-lived access token and a refresh token
+    const { token, refreshToken } = await issueTokens(user._id);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -59,7 +61,7 @@ router.post('/login', validateLogin, async (req, res) => {
 
     // Find user by email
     const user = await User.findOne({ email });
-    if (!user || !user.isActive) {
+    if (!user) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
@@ -69,16 +71,30 @@ router.post('/login', validateLogin, async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Only explain a ban or suspension once the password has been verified
+    user.liftExpiredSuspension();
+    if (!user.isActive) {
+      const restriction = user.getRestriction();
+      if (restriction) {
+        return res.status(403).json({
+          message: user.getRestrictionMessage(),
+          restriction
+        });
+      }
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
     // Update last active
     user.lastActive = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate a short-lived access token and a refresh token
+    const { token, refreshToken } = await issueTokens(user._id);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -116,15 +132,42 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Refresh token
-router.post('/refresh', authenticateToken, async (req, res) => {
+// Trade a refresh token for a new access token and refresh token. The old
+// refresh token stops working; using it again ends the whole session.
+router.post('/refresh', validateRefreshToken, async (req, res) => {
   try {
-    const token = generateToken(req.user._id);
-    res.json({ token });
+    const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken);
+    res.json({ token, refreshToken });
   } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Token refresh error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Log out this session by revoking its refresh token. The access token stays
+// valid until it expires.
+router.post('/logout', validateRefreshToken, async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out everywhere: revoke every refresh token and access token issued so far
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllTokens(req.user._id);
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
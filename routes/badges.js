@@ -0,0 +1,80 @@
+const express = require('express');
+const Badge = require('../models/Badge');
+const User = require('../models/User');
+const UserBadge = require('../models/UserBadge');
+const { formatBadge, compareBadges } = require('../utils/badges');
+
+const router = express.Router();
+
+// Holders shown with each badge in the catalog
+const HOLDER_PREVIEW = 10;
+
+const HOLDER_FIELDS = 'username avatar reputation';
+
+const findHolders = (badgeId) => {
+  return UserBadge.find({ badge: badgeId })
+    .populate({ path: 'user', select: HOLDER_FIELDS, match: User.activeFilter() })
+    .sort({ awardedAt: -1 });
+};
+
+const formatHolders = (userBadges) => {
+  return userBadges
+    .filter(userBadge => userBadge.user)
+    .map(userBadge => ({
+      user: userBadge.user,
+      awardedAt: userBadge.awardedAt
+    }));
+};
+
+// Badge catalog with the most recent holders of each badge
+router.get('/', async (req, res) => {
+  try {
+    const badges = (await Badge.find({})).sort(compareBadges);
+
+    const catalog = [];
+    for (const badge of badges) {
+      const holders = await findHolders(badge._id).limit(HOLDER_PREVIEW);
+      catalog.push({
+        ...formatBadge(badge),
+        holders: formatHolders(holders)
+      });
+    }
+
+    res.json({ badges: catalog });
+  } catch (error) {
+    console.error('Get badges error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a badge with every holder, most recent first
+router.get('/:badgeKey', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const badge = await Badge.findOne({ key: req.params.badgeKey });
+    if (!badge) {
+      return res.status(404).json({ message: 'Badge not found' });
+    }
+
+    const holders = await findHolders(badge._id).skip(skip).limit(limit);
+    const total = await UserBadge.countDocuments({ badge: badge._id });
+
+    res.json({
+      badge: formatBadge(badge),
+      holders: formatHolders(holders),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get badge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
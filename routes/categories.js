@@ -1,7 +1,11 @@
 const express = require('express');
 const Category = require('../models/Category');
+const Thread = require('../models/Thread');
+const Subscription = require('../models/Subscription');
 const { authenticateToken, requireRole } = require('../middleware/auth');
-const { validateCategory } = require('../middleware/validation');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { follow, unfollow, removeFollows } = require('../utils/follows');
+const { validateCategory, validateSubscription } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -17,6 +21,7 @@ router.get('/', async (req, res) => {
         name: cat.name,
         description: cat.description,
         color: cat.color,
+        isQnA: cat.isQnA,
         threadCount: cat.threadCount
       }))
     });
@@ -41,6 +46,7 @@ router.get('/:categoryId', async (req, res) => {
         name: category.name,
         description: category.description,
         color: category.color,
+        isQnA: category.isQnA,
         threadCount: category.threadCount,
         createdAt: category.createdAt
       }
@@ -54,7 +60,7 @@ router.get('/:categoryId', async (req, res) => {
 // Create new category (admin only)
 router.post('/', authenticateToken, requireRole(['admin']), validateCategory, async (req, res) => {
   try {
-    const { name, description, color } = req.body;
+    const { name, description, color, isQnA } = req.body;
 
     // Check if category already exists
     const existingCategory = await Category.findOne({ 
@@ -68,11 +74,19 @@ router.post('/', authenticateToken, requireRole(['admin']), validateCategory, as
     const category = new Category({
       name,
       description,
-      color: color || '#007bff'
+      color: color || '#007bff',
+      isQnA: Boolean(isQnA)
     });
 
     await category.save();
 
+    await recordAudit(req, {
+      action: 'category.create',
+      targetType: 'category',
+      target: category._id,
+      after: snapshot('category', category)
+    });
+
     res.status(201).json({
       message: 'Category created successfully',
       category: {
@@ -80,6 +94,7 @@ router.post('/', authenticateToken, requireRole(['admin']), validateCategory, as
         name: category.name,
         description: category.description,
         color: category.color,
+        isQnA: category.isQnA,
         threadCount: category.threadCount
       }
     });
@@ -92,7 +107,7 @@ router.post('/', authenticateToken, requireRole(['admin']), validateCategory, as
 // Update category (admin only)
 router.put('/:categoryId', authenticateToken, requireRole(['admin']), validateCategory, async (req, res) => {
   try {
-    const { name, description, color } = req.body;
+    const { name, description, color, isQnA } = req.body;
     
     const category = await Category.findById(req.params.categoryId);
     if (!category) {
@@ -111,12 +126,33 @@ router.put('/:categoryId', authenticateToken, requireRole(['admin']), validateCa
       }
     }
 
+    const before = snapshot('category', category);
+
     category.name = name;
     category.description = description;
     category.color = color || category.color;
 
+    const enablesQnA = isQnA === true && !category.isQnA;
+    if (isQnA !== undefined) {
+      category.isQnA = isQnA;
+    }
+
     await category.save();
 
+    // Existing threads become questions when Q&A mode is turned on. Turning it
+    // off keeps them as questions, along with their accepted answers.
+    if (enablesQnA) {
+      await Thread.updateMany({ category: category._id, isQuestion: { $ne: true } }, { $set: { isQuestion: true } });
+    }
+
+    await recordAudit(req, {
+      action: 'category.update',
+      targetType: 'category',
+      target: category._id,
+      before,
+      after: snapshot('category', category)
+    });
+
     res.json({
       message: 'Category updated successfully',
       category: {
@@ -124,6 +160,7 @@ router.put('/:categoryId', authenticateToken, requireRole(['admin']), validateCa
         name: category.name,
         description: category.description,
         color: category.color,
+        isQnA: category.isQnA,
         threadCount: category.threadCount
       }
     });
@@ -148,6 +185,14 @@ router.delete('/:categoryId', authenticateToken, requireRole(['admin']), async (
     }
 
     await Category.findByIdAndDelete(req.params.categoryId);
+    await removeFollows('category', category._id);
+
+    await recordAudit(req, {
+      action: 'category.delete',
+      targetType: 'category',
+      target: category._id,
+      before: snapshot('category', category)
+    });
 
     res.json({ message: 'Category deleted successfully' });
   } catch (error) {
@@ -164,9 +209,19 @@ router.patch('/:categoryId/toggle', authenticateToken, requireRole(['admin']), a
       return res.status(404).json({ message: 'Category not found' });
     }
 
+    const before = snapshot('category', category);
+
     category.isActive = !category.isActive;
     await category.save();
 
+    await recordAudit(req, {
+      action: 'category.toggle',
+      targetType: 'category',
+      target: category._id,
+      before,
+      after: snapshot('category', category)
+    });
+
     res.json({
       message: `Category ${category.isActive ? 'activated' : 'deactivated'} successfully`,
       category: {
@@ -181,4 +236,84 @@ router.patch('/:categoryId/toggle', authenticateToken, requireRole(['admin']), a
   }
 });
 
+// Subscribe to a digest of new threads in a category
+router.post('/:categoryId/subscribe', authenticateToken, validateSubscription, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.categoryId);
+    if (!category || !category.isActive) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { user: req.user._id, targetType: 'category', target: category._id },
+      { $set: { frequency: req.body.frequency || 'daily' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: 'Subscribed to category',
+      subscription: {
+        id: subscription._id,
+        targetType: subscription.targetType,
+        target: subscription.target,
+        frequency: subscription.frequency
+      }
+    });
+  } catch (error) {
+    console.error('Category subscribe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unsubscribe from a category
+router.delete('/:categoryId/subscribe', authenticateToken, async (req, res) => {
+  try {
+    const result = await Subscription.deleteOne({
+      user: req.user._id,
+      targetType: 'category',
+      target: req.params.categoryId
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    res.json({ message: 'Unsubscribed from category' });
+  } catch (error) {
+    console.error('Category unsubscribe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Follow a category; its new threads show up in your feed
+router.post('/:categoryId/follow', authenticateToken, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.categoryId);
+    if (!category || !category.isActive) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    await follow(req.user._id, 'category', category._id);
+
+    res.json({ message: 'Following category', isFollowing: true });
+  } catch (error) {
+    console.error('Follow category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unfollow a category
+router.delete('/:categoryId/follow', authenticateToken, async (req, res) => {
+  try {
+    if (!(await unfollow(req.user._id, 'category', req.params.categoryId))) {
+      return res.status(404).json({ message: 'You are not following this category' });
+    }
+
+    res.json({ message: 'Unfollowed category', isFollowing: false });
+  } catch (error) {
+    console.error('Unfollow category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,312 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { authenticateToken } = require('../middleware/auth');
+const { validateConversation, validateMessage } = require('../middleware/validation');
+const { decodeCursor, encodeCursor, cursorCondition } = require('../utils/pagination');
+const { findBlockedBetween } = require('../utils/blocks');
+const {
+  PARTICIPANT_FIELDS,
+  checkRecipients,
+  sendMessage,
+  countUnread,
+  formatMessage,
+  formatConversation
+} = require('../utils/messages');
+
+const router = express.Router();
+
+// Per-user limit on sending messages, on top of the global per-IP limiter.
+// Runs after authenticateToken so requests are counted by user, and after
+// validation so rejected requests do not use up the limit.
+const messageLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.MESSAGE_RATE_LIMIT) || 60,
+  keyGenerator: (req) => req.user._id.toString(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'You are sending messages too quickly. Please try again later.' }
+});
+
+const populateConversation = [
+  { path: 'participants.user', select: PARTICIPANT_FIELDS },
+  { path: 'lastMessage', populate: { path: 'sender', select: PARTICIPANT_FIELDS } }
+];
+
+// Only participants who have not left can see a conversation
+const loadConversation = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.conversationId)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const conversation = await Conversation.findById(req.params.conversationId);
+    if (!conversation || !conversation.getParticipant(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    console.error('Load conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get current user's conversations, most recent message first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { participants: { $elemMatch: { user: req.user._id, leftAt: null } } };
+
+    const conversations = await Conversation.find(query)
+      .populate(populateConversation)
+      .sort({ lastMessageAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Conversation.countDocuments(query);
+    const unread = await countUnread(conversations, req.user._id);
+
+    res.json({
+      conversations: conversations.map(conversation => formatConversation(
+        conversation,
+        req.user._id,
+        unread.get(conversation._id.toString()) || 0
+      )),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the number of conversations with unread messages
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({
+      participants: { $elemMatch: { user: req.user._id, leftAt: null } }
+    }).select('participants lastMessageAt');
+
+    const unreadCount = conversations.filter(conversation => (
+      conversation.lastMessageAt > conversation.getParticipant(req.user._id).lastReadAt
+    )).length;
+
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Unread conversations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start a conversation with one or more users. Messaging a single user you
+// already have a one-to-one conversation with continues that conversation.
+router.post('/', authenticateToken, validateConversation, messageLimiter, async (req, res) => {
+  try {
+    const { subject, content } = req.body;
+
+    const recipientIds = [...new Set(req.body.recipients.map(String))]
+      .filter(id => id !== req.user._id.toString())
+      .map(id => new mongoose.Types.ObjectId(id));
+
+    if (recipientIds.length === 0) {
+      return res.status(400).json({ message: 'Choose at least one other user' });
+    }
+
+    const { unavailable, missing } = await checkRecipients(req.user._id, recipientIds);
+    if (missing > 0) {
+      return res.status(404).json({ message: 'Some recipients were not found' });
+    }
+    if (unavailable.length > 0) {
+      return res.status(403).json({
+        message: 'Some recipients cannot receive messages from you',
+        recipients: unavailable
+      });
+    }
+
+    let conversation = null;
+    if (recipientIds.length === 1) {
+      conversation = await Conversation.findOne({
+        participants: { $size: 2 },
+        $and: [
+          { participants: { $elemMatch: { user: req.user._id, leftAt: null } } },
+          { participants: { $elemMatch: { user: recipientIds[0], leftAt: null } } }
+        ]
+      });
+    }
+
+    const created = !conversation;
+    if (created) {
+      conversation = await Conversation.create({
+        // Everything in a new conversation is unread for the recipients
+        participants: [
+          { user: req.user._id },
+          ...recipientIds.map(user => ({ user, lastReadAt: new Date(0) }))
+        ],
+        subject,
+        createdBy: req.user._id
+      });
+    }
+
+    const message = await sendMessage(conversation, req.user, content);
+
+    await conversation.populate(populateConversation);
+    await message.populate('sender', PARTICIPANT_FIELDS);
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Conversation started' : 'Message sent',
+      conversation: formatConversation(conversation, req.user._id),
+      sentMessage: formatMessage(message)
+    });
+  } catch (error) {
+    console.error('Start conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a conversation with a page of messages, newest first, and mark it read
+router.get('/:conversationId', authenticateToken, loadConversation, async (req, res) => {
+  try {
+    const { conversation } = req;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const query = { conversation: conversation._id };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      Object.assign(query, cursorCondition(cursor, -1));
+    }
+
+    const page = await Message.find(query)
+      .populate('sender', PARTICIPANT_FIELDS)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit);
+
+    const unread = await countUnread([conversation], req.user._id);
+    conversation.getParticipant(req.user._id).lastReadAt = new Date();
+    await conversation.save();
+
+    await conversation.populate(populateConversation);
+
+    res.json({
+      conversation: formatConversation(conversation, req.user._id, unread.get(conversation._id.toString()) || 0),
+      messages: messages.map(formatMessage),
+      nextCursor: hasMore ? encodeCursor(messages[messages.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a message in a conversation
+router.post('/:conversationId/messages', authenticateToken, validateMessage, loadConversation, messageLimiter, async (req, res) => {
+  try {
+    const { conversation } = req;
+
+    const others = conversation.activeParticipantIds()
+      .filter(id => id.toString() !== req.user._id.toString());
+    if (others.length === 0) {
+      return res.status(400).json({ message: 'Everyone else has left this conversation' });
+    }
+
+    // A block between the sender and anyone still in the conversation stops them writing in it
+    const blocked = await findBlockedBetween(req.user._id, others);
+    if (blocked.size > 0) {
+      return res.status(403).json({ message: 'You cannot send messages in this conversation' });
+    }
+
+    const { users } = await checkRecipients(req.user._id, others);
+    if (!users.some(user => user.isAccountActive())) {
+      return res.status(403).json({ message: 'No one in this conversation can receive messages right now' });
+    }
+
+    const message = await sendMessage(conversation, req.user, req.body.content);
+    await message.populate('sender', PARTICIPANT_FIELDS);
+
+    res.status(201).json({
+      message: 'Message sent',
+      sentMessage: formatMessage(message)
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a conversation as read
+router.patch('/:conversationId/read', authenticateToken, loadConversation, async (req, res) => {
+  try {
+    req.conversation.getParticipant(req.user._id).lastReadAt = new Date();
+    await req.conversation.save();
+
+    res.json({ message: 'Conversation marked as read' });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stop notifications for a conversation
+router.post('/:conversationId/mute', authenticateToken, loadConversation, async (req, res) => {
+  try {
+    req.conversation.getParticipant(req.user._id).isMuted = true;
+    await req.conversation.save();
+
+    res.json({ message: 'Conversation muted', isMuted: true });
+  } catch (error) {
+    console.error('Mute conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resume notifications for a conversation
+router.delete('/:conversationId/mute', authenticateToken, loadConversation, async (req, res) => {
+  try {
+    req.conversation.getParticipant(req.user._id).isMuted = false;
+    await req.conversation.save();
+
+    res.json({ message: 'Conversation unmuted', isMuted: false });
+  } catch (error) {
+    console.error('Unmute conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave a conversation. It is deleted once every participant has left.
+router.delete('/:conversationId', authenticateToken, loadConversation, async (req, res) => {
+  try {
+    const { conversation } = req;
+
+    conversation.getParticipant(req.user._id).leftAt = new Date();
+
+    if (conversation.activeParticipantIds().length === 0) {
+      await Message.deleteMany({ conversation: conversation._id });
+      await Conversation.deleteOne({ _id: conversation._id });
+    } else {
+      await conversation.save();
+    }
+
+    res.json({ message: 'Left conversation' });
+  } catch (error) {
+    console.error('Leave conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
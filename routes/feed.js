@@ -0,0 +1,128 @@
+const express = require('express');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const { authenticateToken } = require('../middleware/auth');
+const { decodeCursor, encodeCursor, cursorCondition } = require('../utils/pagination');
+const { getFollowedIds } = require('../utils/follows');
+const { getUserFilters, isFilteredAuthor } = require('../utils/blocks');
+const { renderMarkdown, excerpt } = require('../utils/markdown');
+
+const router = express.Router();
+
+const AUTHOR_FIELDS = 'username avatar reputation';
+
+const formatThread = (thread) => ({
+  id: thread._id,
+  title: thread.title,
+  content: excerpt(thread.content, 300),
+  contentHtml: renderMarkdown(thread.content),
+  author: thread.author,
+  category: thread.category,
+  tags: thread.tags,
+  voteScore: thread.voteScore,
+  replyCount: thread.replyCount,
+  isQuestion: thread.isQuestion,
+  isSolved: thread.isSolved,
+  hasPoll: Boolean(thread.poll),
+  createdAt: thread.createdAt
+});
+
+const formatReply = (reply) => ({
+  id: reply._id,
+  content: excerpt(reply.content, 300),
+  contentHtml: renderMarkdown(reply.content),
+  author: reply.author,
+  voteScore: reply.voteScore,
+  parentReply: reply.parentReply,
+  createdAt: reply.createdAt
+});
+
+// New threads and replies from followed users, and new threads in followed
+// tags and categories, newest first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+    }
+
+    const { users, tags, categories } = await getFollowedIds(req.user._id);
+
+    const sources = [
+      users.length > 0 && { author: { $in: users } },
+      tags.length > 0 && { tags: { $in: tags } },
+      categories.length > 0 && { category: { $in: categories } }
+    ].filter(Boolean);
+
+    if (sources.length === 0) {
+      return res.json({ items: [], nextCursor: null });
+    }
+
+    // Your own posts and those by users you have blocked never show up in your feed
+    const filters = await getUserFilters(req.user);
+    const threadQuery = {
+      $and: [{ $or: sources }],
+      author: { $nin: [req.user._id, ...filters.blocked] },
+      isDeleted: { $ne: true }
+    };
+    if (cursor) {
+      threadQuery.$and.push(cursorCondition(cursor, -1));
+    }
+
+    const threads = await Thread.find(threadQuery)
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', 'name color')
+      .populate('tags', 'name color')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    let replies = [];
+    if (users.length > 0) {
+      const replyQuery = {
+        author: { $in: users },
+        isDeleted: { $ne: true },
+        threadDeleted: { $ne: true }
+      };
+      if (cursor) {
+        Object.assign(replyQuery, cursorCondition(cursor, -1));
+      }
+
+      replies = await Reply.find(replyQuery)
+        .populate('author', AUTHOR_FIELDS)
+        .populate('thread', 'title')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1);
+    }
+
+    const merged = [
+      ...threads.map(thread => ({ type: 'thread', doc: thread })),
+      ...replies.map(reply => ({ type: 'reply', doc: reply }))
+    ].sort((a, b) => (
+      b.doc.createdAt - a.doc.createdAt || b.doc._id.toString().localeCompare(a.doc._id.toString())
+    ));
+
+    const hasMore = merged.length > limit;
+    const page = merged.slice(0, limit);
+
+    res.json({
+      items: page.map(({ type, doc }) => ({
+        type,
+        createdAt: doc.createdAt,
+        isCollapsed: isFilteredAuthor(filters.muted, doc.author),
+        thread: type === 'thread' ? formatThread(doc) : doc.thread,
+        reply: type === 'reply' ? formatReply(doc) : null
+      })),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1].doc) : null
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
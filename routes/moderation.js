@@ -0,0 +1,335 @@
+const express = require('express');
+const Report = require('../models/Report');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const Category = require('../models/Category');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateReportResolution } = require('../middleware/validation');
+const { deleteThread, deleteReply, restoreThread, restoreReply } = require('../utils/content');
+const { notifyModeration } = require('../utils/notifications');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const RESOLUTION_STATUS = {
+  dismiss: 'dismissed',
+  remove: 'removed',
+  warn: 'warned'
+};
+
+const formatReport = (report) => ({
+  id: report._id,
+  targetType: report.targetType,
+  thread: report.thread,
+  reply: report.reply,
+  category: report.category,
+  contentAuthor: report.contentAuthor,
+  reportCount: report.reportCount,
+  reasons: report.reports.reduce((counts, entry) => {
+    counts[entry.reason] = (counts[entry.reason] || 0) + 1;
+    return counts;
+  }, {}),
+  reports: report.reports,
+  status: report.status,
+  resolvedBy: report.resolvedBy,
+  resolvedAt: report.resolvedAt,
+  resolutionNote: report.resolutionNote,
+  createdAt: report.createdAt,
+  updatedAt: report.updatedAt
+});
+
+// Get the report queue, most reported first
+router.get('/reports', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const { status = 'open', category, reason, targetType } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (category) query.category = category;
+    if (reason) query['reports.reason'] = reason;
+    if (targetType) query.targetType = targetType;
+
+    const reports = await Report.find(query)
+      .populate('thread', 'title content')
+      .populate('reply', 'content')
+      .populate('category', 'name color')
+      .populate('contentAuthor', 'username avatar reputation')
+      .populate('reports.reporter', 'username')
+      .populate('resolvedBy', 'username')
+      .sort({ reportCount: -1, updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Report.countDocuments(query);
+
+    res.json({
+      reports: reports.map(formatReport),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resolve a report by dismissing it, removing the content or warning the author
+router.patch('/reports/:reportId/resolve', authenticateToken, requireRole(['moderator', 'admin']), validateReportResolution, async (req, res) => {
+  try {
+    const { action, note } = req.body;
+
+    const report = await Report.findById(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    if (report.status !== 'open') {
+      return res.status(400).json({ message: 'Report has already been resolved' });
+    }
+
+    const thread = await Thread.findById(report.thread);
+    const reply = report.reply ? await Reply.findById(report.reply) : null;
+    const content = report.targetType === 'reply' ? reply : thread;
+
+    if (action !== 'dismiss' && (!content || content.isDeleted)) {
+      return res.status(400).json({ message: 'Reported content no longer exists' });
+    }
+
+    if (action === 'remove') {
+      if (report.targetType === 'reply') {
+        await deleteReply(reply, req.user._id);
+      } else {
+        await deleteThread(thread, req.user._id);
+      }
+
+      await recordAudit(req, {
+        action: `${report.targetType}.delete`,
+        targetType: report.targetType,
+        target: content._id,
+        before: snapshot(report.targetType, content),
+        reason: note
+      });
+
+      await notifyModeration({
+        recipient: content.author,
+        actor: req.user._id,
+        thread: report.targetType === 'reply' && thread ? thread._id : undefined,
+        message: report.targetType === 'reply'
+          ? 'Your reply was removed by a moderator after being reported'
+          : `Your thread "${thread.title}" was removed by a moderator after being reported`
+      });
+    }
+
+    if (action === 'warn') {
+      await notifyModeration({
+        recipient: content.author,
+        actor: req.user._id,
+        thread: thread ? thread._id : undefined,
+        reply: reply ? reply._id : undefined,
+        message: `A moderator warned you about your ${report.targetType}${note ? `: ${note}` : ''}`
+      });
+    }
+
+    const before = snapshot('report', report);
+
+    report.status = RESOLUTION_STATUS[action];
+    report.resolvedBy = req.user._id;
+    report.resolvedAt = new Date();
+    report.resolutionNote = note;
+    await report.save();
+
+    await recordAudit(req, {
+      action: 'report.resolve',
+      targetType: 'report',
+      target: report._id,
+      label: `${report.targetType} report`,
+      before,
+      after: snapshot('report', report),
+      reason: note
+    });
+
+    res.json({
+      message: 'Report resolved',
+      report: {
+        id: report._id,
+        status: report.status,
+        resolvedAt: report.resolvedAt
+      }
+    });
+  } catch (error) {
+    console.error('Resolve report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get deleted threads or replies that have not been purged yet, most recently deleted first
+router.get('/trash', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const { type = 'threads' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (!['threads', 'replies'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be threads or replies' });
+    }
+
+    if (type === 'threads') {
+      const query = { isDeleted: true };
+      const threads = await Thread.find(query)
+        .select('title content author category deletedAt deletedBy replyCount createdAt')
+        .populate('author', 'username avatar')
+        .populate('category', 'name color')
+        .populate('deletedBy', 'username role')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await Thread.countDocuments(query);
+
+      return res.json({
+        threads: threads.map(thread => ({
+          id: thread._id,
+          title: thread.title,
+          content: thread.content.substring(0, 200),
+          author: thread.author,
+          category: thread.category,
+          replyCount: thread.replyCount,
+          createdAt: thread.createdAt,
+          deletedAt: thread.deletedAt,
+          deletedBy: thread.deletedBy
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      });
+    }
+
+    const query = { isDeleted: true, purgedAt: { $exists: false } };
+    const replies = await Reply.find(query)
+      .select('thread content author parentReply replyCount deletedAt deletedBy createdAt')
+      .populate('author', 'username avatar')
+      .populate('thread', 'title isDeleted')
+      .populate('deletedBy', 'username role')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Reply.countDocuments(query);
+
+    res.json({
+      replies: replies.map(reply => ({
+        id: reply._id,
+        content: reply.content,
+        author: reply.author,
+        thread: reply.thread,
+        parentReply: reply.parentReply,
+        replyCount: reply.replyCount,
+        createdAt: reply.createdAt,
+        deletedAt: reply.deletedAt,
+        deletedBy: reply.deletedBy
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a deleted thread
+router.post('/trash/threads/:threadId/restore', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const thread = await Thread.findOne({ _id: req.params.threadId, isDeleted: true });
+    if (!thread) {
+      return res.status(404).json({ message: 'Deleted thread not found' });
+    }
+
+    const category = await Category.findById(thread.category);
+    if (!category) {
+      return res.status(400).json({ message: 'The thread\'s category no longer exists' });
+    }
+
+    await restoreThread(thread);
+
+    await recordAudit(req, {
+      action: 'thread.restore',
+      targetType: 'thread',
+      target: thread._id,
+      after: snapshot('thread', thread)
+    });
+
+    await notifyModeration({
+      recipient: thread.author,
+      actor: req.user._id,
+      thread: thread._id,
+      message: `Your thread "${thread.title}" was restored by a moderator`
+    });
+
+    res.json({
+      message: 'Thread restored',
+      thread: { id: thread._id, title: thread.title }
+    });
+  } catch (error) {
+    console.error('Restore thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a deleted reply in place
+router.post('/trash/replies/:replyId/restore', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const reply = await Reply.findOne({ _id: req.params.replyId, isDeleted: true });
+    if (!reply) {
+      return res.status(404).json({ message: 'Deleted reply not found' });
+    }
+
+    if (reply.purgedAt) {
+      return res.status(400).json({ message: 'Reply content has been purged and cannot be restored' });
+    }
+
+    const thread = await Thread.findById(reply.thread).select('_id isDeleted');
+    if (!thread || thread.isDeleted) {
+      return res.status(400).json({ message: 'Restore the thread before restoring its replies' });
+    }
+
+    await restoreReply(reply);
+
+    await recordAudit(req, {
+      action: 'reply.restore',
+      targetType: 'reply',
+      target: reply._id,
+      after: snapshot('reply', reply)
+    });
+
+    await notifyModeration({
+      recipient: reply.author,
+      actor: req.user._id,
+      thread: reply.thread,
+      reply: reply._id,
+      message: 'Your reply was restored by a moderator'
+    });
+
+    res.json({
+      message: 'Reply restored',
+      reply: { id: reply._id, thread: reply.thread }
+    });
+  } catch (error) {
+    console.error('Restore reply error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
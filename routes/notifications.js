@@ -0,0 +1,122 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const { authenticateToken } = require('../middleware/auth');
+const { summarizeNotification } = require('../utils/notifications');
+
+const router = express.Router();
+
+const formatNotification = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  summary: summarizeNotification(notification),
+  count: notification.count,
+  actors: notification.actors,
+  thread: notification.thread,
+  reply: notification.reply,
+  conversation: notification.conversation,
+  message: notification.message,
+  isRead: notification.isRead,
+  readAt: notification.readAt,
+  createdAt: notification.createdAt,
+  updatedAt: notification.updatedAt
+});
+
+// Get current user's notifications, most recent activity first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      query.isRead = false;
+    }
+
+    const notifications = await Notification.find(query)
+      .populate({ path: 'actors', select: 'username avatar', perDocumentLimit: 5 })
+      .populate('thread', 'title')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+
+    res.json({
+      notifications: notifications.map(formatNotification),
+      unreadCount,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get unread notification count
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark all notifications as read
+router.patch('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a single notification as read
+router.patch('/:notificationId/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification: {
+        id: notification._id,
+        isRead: notification.isRead,
+        readAt: notification.readAt
+      }
+    });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,34 @@
 const express = require('express');
 const Thread = require('../models/Thread');
-const { authenticateToken } = require('../middleware/auth');
-const { validateReply } = require('../middleware/validation');
+const Reply = require('../models/Reply');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateReply, validateReport } = require('../middleware/validation');
+const { REPLY_AUTHOR_FIELDS } = require('../utils/replyTree');
+const { notifyReply, notifyModeration } = require('../utils/notifications');
+const { resolveMentions, notifyMentions, formatMentions } = require('../utils/mentions');
+const { publish, threadChannel } = require('../utils/eventBus');
+const { deleteReply } = require('../utils/content');
+const { fileReport } = require('../utils/reports');
+const { renderMarkdown } = require('../utils/markdown');
+const { recordActiveDay, evaluateBadges } = require('../utils/badges');
+const {
+  AttachmentError,
+  findAttachable,
+  attachToPost,
+  releaseFromPost,
+  preparePostAttachments,
+  applyPostAttachments,
+  formatAttachment,
+  getPostAttachments
+} = require('../utils/attachments');
+const { snapshot, recordAudit } = require('../utils/audit');
+const {
+  recordRevision,
+  ensureInitialRevision,
+  getRevisions,
+  findRevision,
+  buildRevisionHistory
+} = require('../utils/revisions');
 
 const router = express.Router();
 
@@ -10,90 +37,99 @@ router.post('/:threadId', authenticateToken, validateReply, async (req, res) =>
   try {
     const { content, parentReplyId } = req.body;
     
-    const thread = await Thread.findById(req.params.threadId);
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
     if (!thread) {
       return res.status(404).json({ message: 'Thread not found' });
     }
 
     if (thread.isLocked) {
-      return res.status(403).json({ message: 'Thread is locked' });
+      return res.status(403).json({
+        message: thread.lockReason ? `Thread is locked: ${thread.lockReason}` : 'Thread is locked',
+        lockReason: thread.lockReason || null
+      });
     }
 
-    const newReply = {
-      author: req.user._id,
-      content,
-      parentReply: parentReplyId || null,
-      votes: [],
-      replies: [],
-      createdAt: new Date()
-    };
-
+    let parentReply = null;
     if (parentReplyId) {
-      // Find parent reply and add as nested reply
-      const findAndAddReply = (replies) => {
-        for (let reply of replies) {
-          if (reply._id.toString() === parentReplyId) {
-            reply.replies.push(newReply);
-            return true;
-          }
-          if (reply.replies && reply.replies.length > 0) {
-            if (findAndAddReply(reply.replies)) {
-              return true;
-            }
-          }
-        }
-        return false;
-      };
-
-      const found = findAndAddReply(thread.replies);
-      if (!found) {
+      parentReply = await Reply.findOne({ _id: parentReplyId, thread: thread._id });
+      if (!parentReply) {
         return res.status(404).json({ message: 'Parent reply not found' });
       }
-    } else {
-      // Add as top-level reply
-      thread.replies.push(newReply);
+
+      if (parentReply.isDeleted) {
+        return res.status(400).json({ message: 'Cannot reply to a deleted reply' });
+      }
     }
 
-    thread.lastActivity = new Date();
-    await thread.save();
+    const attachments = await findAttachable(req.body.attachments, req.user._id);
+
+    const reply = new Reply({
+      thread: thread._id,
+      author: req.user._id,
+      content,
+      parentReply: parentReply ? parentReply._id : null,
+      ancestors: parentReply ? [...parentReply.ancestors, parentReply._id] : [],
+      depth: parentReply ? parentReply.depth + 1 : 0,
+      mentions: await resolveMentions(content)
+    });
 
-    // Populate the new reply
-    await thread.populate('replies.author', 'username avatar reputation role');
+    // Claim the uploads first: a concurrent post may have taken one since they were checked
+    await attachToPost(attachments, { thread: thread._id, reply: reply._id });
+    try {
+      await reply.save();
+    } catch (error) {
+      await releaseFromPost(attachments, { thread: thread._id, reply: reply._id });
+      throw error;
+    }
+    await recordRevision('reply', reply, { editor: req.user._id, action: 'create' });
 
-    // Find the newly added reply
-    let addedReply;
-    if (parentReplyId) {
-      const findReply = (replies) => {
-        for (let reply of replies) {
-          if (reply.author._id.toString() === req.user._id.toString() && 
-              reply.content === content && 
-              reply.createdAt.getTime() === newReply.createdAt.getTime()) {
-            return reply;
-          }
-          if (reply.replies && reply.replies.length > 0) {
-            const found = findReply(reply.replies);
-            if (found) return found;
-          }
-        }
-        return null;
-      };
-      addedReply = findReply(thread.replies);
-    } else {
-      addedReply = thread.replies[thread.replies.length - 1];
+    if (parentReply) {
+      await Reply.updateOne({ _id: parentReply._id }, { $inc: { replyCount: 1 } });
     }
 
+    await Thread.updateOne(
+      { _id: thread._id },
+      { $inc: { replyCount: 1 }, $set: { lastActivity: new Date() } }
+    );
+
+    await notifyReply({ thread, reply, parentReply, actor: req.user._id });
+    await notifyMentions({
+      mentions: reply.mentions,
+      actor: req.user._id,
+      thread: thread._id,
+      reply: reply._id
+    });
+    await recordActiveDay(req.user._id);
+    await evaluateBadges(req.user._id, 'reply.created');
+
+    await reply.populate([
+      { path: 'author', select: REPLY_AUTHOR_FIELDS },
+      { path: 'mentions.user', select: 'username' }
+    ]);
+
+    const formattedReply = {
+      id: reply._id,
+      content: reply.content,
+      contentHtml: renderMarkdown(reply.content),
+      mentions: formatMentions(reply.mentions),
+      author: reply.author,
+      attachments: attachments.map(formatAttachment),
+      voteScore: 0,
+      parentReply: reply.parentReply,
+      depth: reply.depth,
+      createdAt: reply.createdAt
+    };
+
+    publish(threadChannel(thread._id), 'reply:created', { threadId: thread._id, reply: formattedReply });
+
     res.status(201).json({
       message: 'Reply added successfully',
-      reply: {
-        id: addedReply._id,
-        content: addedReply.content,
-        author: addedReply.author,
-        voteScore: 0,
-        parentReply: addedReply.parentReply,
-        createdAt: addedReply.createdAt
-      }
+      reply: formattedReply
     });
   } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Add reply error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -103,110 +139,292 @@ router.post('/:threadId', authenticateToken, validateReply, async (req, res) =>
 router.put('/:threadId/replies/:replyId', authenticateToken, validateReply, async (req, res) => {
   try {
     const { content } = req.body;
-    
-    const thread = await Thread.findById(req.params.threadId);
-    if (!thread) {
-      return res.status(404).json({ message: 'Thread not found' });
+
+    // Replies in a trashed thread are as gone as the thread
+    const reply = await Reply.findOne({
+      _id: req.params.replyId,
+      thread: req.params.threadId,
+      threadDeleted: { $ne: true }
+    }).notDeleted();
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
     }
 
-    // Find and update reply
-    const findAndUpdateReply = (replies) => {
-      for (let reply of replies) {
-        if (reply._id.toString() === req.params.replyId) {
-          // Check if user is author or admin
-          if (reply.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-            throw new Error('Not authorized');
-          }
-          
-          reply.content = content;
-          reply.isEdited = true;
-          reply.editedAt = new Date();
-          return reply;
-        }
-        
-        if (reply.replies && reply.replies.length > 0) {
-          const found = findAndUpdateReply(reply.replies);
-          if (found) return found;
-        }
-      }
-      return null;
-    };
+    // Check if user is author or admin
+    if (reply.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to edit this reply' });
+    }
 
-    try {
-      const updatedReply = findAndUpdateReply(thread.replies);
-      if (!updatedReply) {
-        return res.status(404).json({ message: 'Reply not found' });
-      }
+    const before = snapshot('reply', reply);
+    const previousMentions = reply.mentions.map(mention => mention.toObject());
+
+    if (req.body.attachments !== undefined) {
+      const post = { thread: reply.thread, reply: reply._id };
+      await applyPostAttachments(await preparePostAttachments(req.body.attachments, req.user._id, post), post);
+    }
+
+    const textChanged = content !== reply.content;
+    if (textChanged) {
+      await ensureInitialRevision('reply', reply);
+    }
 
-      await thread.save();
+    reply.content = content;
+    reply.mentions = await resolveMentions(content, previousMentions);
+    reply.isEdited = true;
+    reply.editedAt = new Date();
+    await reply.save();
 
-      res.json({
-        message: 'Reply updated successfully',
-        reply: {
-          id: updatedReply._id,
-          content: updatedReply.content,
-          isEdited: updatedReply.isEdited,
-          editedAt: updatedReply.editedAt
-        }
+    if (textChanged) {
+      await recordRevision('reply', reply, { editor: req.user._id });
+    }
+
+    await notifyMentions({
+      mentions: reply.mentions,
+      previous: previousMentions,
+      actor: req.user._id,
+      thread: reply.thread,
+      reply: reply._id
+    });
+
+    if (reply.author.toString() !== req.user._id.toString()) {
+      await recordAudit(req, {
+        action: 'reply.edit',
+        targetType: 'reply',
+        target: reply._id,
+        before,
+        after: snapshot('reply', reply)
+      });
+
+      await notifyModeration({
+        recipient: reply.author,
+        actor: req.user._id,
+        thread: reply.thread,
+        reply: reply._id,
+        message: 'Your reply was edited by a moderator'
       });
-    } catch (authError) {
-      return res.status(403).json({ message: 'Not authorized to edit this reply' });
     }
+
+    await reply.populate('mentions.user', 'username');
+
+    const formattedReply = {
+      id: reply._id,
+      content: reply.content,
+      contentHtml: renderMarkdown(reply.content),
+      mentions: formatMentions(reply.mentions),
+      attachments: await getPostAttachments({ reply: reply._id }),
+      isEdited: reply.isEdited,
+      editedAt: reply.editedAt
+    };
+
+    publish(threadChannel(reply.thread), 'reply:updated', { threadId: reply.thread, reply: formattedReply });
+
+    res.json({
+      message: 'Reply updated successfully',
+      reply: formattedReply
+    });
   } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Update reply error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete reply
-router.delete('/:threadId/replies/:replyId', authenticateToken, async (req, res) => {
+// Get the edit history of a reply, with a line diff when ?from=<revision>[&to=<revision>] is given
+router.get('/:threadId/replies/:replyId/revisions', async (req, res) => {
   try {
-    const thread = await Thread.findById(req.params.threadId);
-    if (!thread) {
-      return res.status(404).json({ message: 'Thread not found' });
+    const reply = await Reply.findOne({
+      _id: req.params.replyId,
+      thread: req.params.threadId,
+      threadDeleted: { $ne: true }
+    }).notDeleted();
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
     }
 
-    // Find and remove reply
-    const findAndRemoveReply = (replies, parentReplies = null, index = -1) => {
-      for (let i = 0; i < replies.length; i++) {
-        const reply = replies[i];
-        
-        if (reply._id.toString() === req.params.replyId) {
-          // Check if user is author or admin
-          if (reply.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-            throw new Error('Not authorized');
-          }
-          
-          // Remove the reply
-          replies.splice(i, 1);
-          return true;
-        }
-        
-        if (reply.replies && reply.replies.length > 0) {
-          if (findAndRemoveReply(reply.replies, replies, i)) {
-            return true;
-          }
-        }
-      }
-      return false;
-    };
+    const history = buildRevisionHistory(await getRevisions('reply', reply), req.query);
+    if (!history) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
 
-    try {
-      const removed = findAndRemoveReply(thread.replies);
-      if (!removed) {
-        return res.status(404).json({ message: 'Reply not found' });
+    res.json(history);
+  } catch (error) {
+    console.error('Reply revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore the content of an earlier revision (moderators only)
+router.post('/:threadId/replies/:replyId/revisions/:revision/rollback', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const reply = await Reply.findOne({
+      _id: req.params.replyId,
+      thread: req.params.threadId,
+      threadDeleted: { $ne: true }
+    }).notDeleted();
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    await ensureInitialRevision('reply', reply);
+    const target = await findRevision('reply', reply, parseInt(req.params.revision));
+    if (!target) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    if (target.content === reply.content) {
+      return res.status(400).json({ message: 'Reply already matches this revision' });
+    }
+
+    const before = snapshot('reply', reply);
+    const previousMentions = reply.mentions.map(mention => mention.toObject());
+
+    reply.content = target.content;
+    reply.mentions = await resolveMentions(reply.content, previousMentions);
+    reply.isEdited = true;
+    reply.editedAt = new Date();
+    await reply.save();
+
+    const revision = await recordRevision('reply', reply, {
+      editor: req.user._id,
+      action: 'rollback',
+      restoredFrom: target.revision
+    });
+
+    await notifyMentions({
+      mentions: reply.mentions,
+      previous: previousMentions,
+      actor: req.user._id,
+      thread: reply.thread,
+      reply: reply._id
+    });
+
+    await recordAudit(req, {
+      action: 'reply.rollback',
+      targetType: 'reply',
+      target: reply._id,
+      before,
+      after: snapshot('reply', reply),
+      reason: `Rolled back to revision ${target.revision}`
+    });
+
+    await reply.populate('mentions.user', 'username');
+
+    publish(threadChannel(reply.thread), 'reply:updated', {
+      threadId: reply.thread,
+      reply: {
+        id: reply._id,
+        content: reply.content,
+        contentHtml: renderMarkdown(reply.content),
+        mentions: formatMentions(reply.mentions),
+        isEdited: reply.isEdited,
+        editedAt: reply.editedAt
       }
+    });
+
+    if (reply.author.toString() !== req.user._id.toString()) {
+      await notifyModeration({
+        recipient: reply.author,
+        actor: req.user._id,
+        thread: reply.thread,
+        reply: reply._id,
+        message: 'Your reply was rolled back to an earlier revision by a moderator'
+      });
+    }
+
+    res.json({
+      message: 'Reply rolled back',
+      revision: revision.revision,
+      restoredFrom: target.revision
+    });
+  } catch (error) {
+    console.error('Reply rollback error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      await thread.save();
+// Delete reply; nested replies stay under a "[deleted]" placeholder
+router.delete('/:threadId/replies/:replyId', authenticateToken, async (req, res) => {
+  try {
+    const reply = await Reply.findOne({
+      _id: req.params.replyId,
+      thread: req.params.threadId,
+      threadDeleted: { $ne: true }
+    }).notDeleted();
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
 
-      res.json({ message: 'Reply deleted successfully' });
-    } catch (authError) {
+    // Check if user is author or admin
+    if (reply.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
       return res.status(403).json({ message: 'Not authorized to delete this reply' });
     }
+
+    await deleteReply(reply, req.user._id);
+
+    if (reply.author.toString() !== req.user._id.toString()) {
+      await recordAudit(req, {
+        action: 'reply.delete',
+        targetType: 'reply',
+        target: reply._id,
+        before: snapshot('reply', reply)
+      });
+
+      await notifyModeration({
+        recipient: reply.author,
+        actor: req.user._id,
+        thread: reply.thread,
+        message: 'Your reply was removed by a moderator'
+      });
+    }
+
+    res.json({ message: 'Reply deleted successfully' });
   } catch (error) {
     console.error('Delete reply error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Report a reply to moderators
+router.post('/:threadId/replies/:replyId/report', authenticateToken, validateReport, async (req, res) => {
+  try {
+    const reply = await Reply.findOne({ _id: req.params.replyId, thread: req.params.threadId })
+      .notDeleted()
+      .select('_id thread author');
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    if (reply.author.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot report your own reply' });
+    }
+
+    const thread = await Thread.findById(reply.thread).notDeleted().select('_id author category');
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    const { report, duplicate } = await fileReport({
+      thread,
+      reply,
+      reporter: req.user._id,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+
+    if (duplicate) {
+      return res.status(400).json({ message: 'You have already reported this reply' });
+    }
+
+    res.status(201).json({
+      message: 'Reply reported',
+      report: { id: report._id, status: report.status }
+    });
+  } catch (error) {
+    console.error('Report reply error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const { optionalAuth } = require('../middleware/auth');
+const { getSearchTerms, highlight } = require('../utils/search');
+const { toPlainText } = require('../utils/markdown');
+const { resolveSearchQuery, SearchQueryError } = require('../utils/searchQuery');
+
+const router = express.Router();
+
+const SEARCH_TYPES = ['all', 'threads', 'replies'];
+
+// Results are merged in memory from the first page * limit hits of each kind,
+// so deep pages are refused rather than loading ever larger windows
+const MAX_PAGE = 20;
+
+// Query operators that describe the post itself; the rest describe the thread a reply belongs to
+const POST_FIELDS = ['author', 'createdAt', 'voteScore'];
+
+// Search threads and replies, ranked by text relevance
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { q, category, tags, type = 'all' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+
+    if (page > MAX_PAGE) {
+      return res.status(400).json({ message: `Search results are limited to ${MAX_PAGE} pages. Refine your query.` });
+    }
+
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Invalid type. Use one of: ${SEARCH_TYPES.join(', ')}` });
+    }
+
+    const { text, filter } = await resolveSearchQuery(q.trim());
+    const terms = text ? getSearchTerms(text) : [];
+
+    // Category and tag filters apply to threads directly and to replies through their thread
+    const threadFilter = {};
+    if (category) {
+      threadFilter.category = category;
+    }
+    if (tags) {
+      const tagArray = Array.isArray(tags) ? tags : tags.split(',');
+      threadFilter.tags = { $in: tagArray };
+    }
+
+    const postFilter = {};
+    const threadOnlyFilter = {};
+    Object.entries(filter).forEach(([field, condition]) => {
+      (POST_FIELDS.includes(field) ? postFilter : threadOnlyFilter)[field] = condition;
+    });
+
+    const threadQuery = { $and: [threadFilter, filter], isDeleted: { $ne: true } };
+    const replyQuery = { ...postFilter, isDeleted: { $ne: true }, threadDeleted: { $ne: true } };
+    if (text) {
+      threadQuery.$text = { $search: text };
+      replyQuery.$text = { $search: text };
+    }
+
+    const replyThreadFilter = { $and: [threadFilter, threadOnlyFilter], isDeleted: { $ne: true } };
+    if (Object.keys(threadFilter).length > 0 || Object.keys(threadOnlyFilter).length > 0) {
+      replyQuery.thread = { $in: await Thread.find(replyThreadFilter).distinct('_id') };
+    }
+
+    // Fetch enough of each kind to fill the requested page, then merge by score
+    // Without free text there is no relevance score, so newest results come first
+    const window = page * limit;
+    const score = text ? { score: { $meta: 'textScore' } } : {};
+    const sort = text ? score : { createdAt: -1 };
+
+    const [threads, threadTotal] = type === 'replies' ? [[], 0] : await Promise.all([
+      Thread.find(threadQuery, score)
+        .sort(sort)
+        .limit(window)
+        .populate('author', 'username avatar reputation')
+        .populate('category', 'name color')
+        .populate('tags', 'name color'),
+      Thread.countDocuments(threadQuery)
+    ]);
+
+    const [replies, replyTotal] = type === 'threads' ? [[], 0] : await Promise.all([
+      Reply.find(replyQuery, score)
+        .sort(sort)
+        .limit(window)
+        .populate('author', 'username avatar reputation')
+        .populate('thread', 'title category'),
+      Reply.countDocuments(replyQuery)
+    ]);
+
+    const hits = [
+      ...threads.map(thread => ({
+        type: 'thread',
+        id: thread._id,
+        score: thread.get('score') || 0,
+        title: thread.title,
+        titleHighlight: highlight(thread.title, terms, thread.title.length),
+        snippet: highlight(toPlainText(thread.content), terms),
+        author: thread.author,
+        category: thread.category,
+        tags: thread.tags,
+        voteScore: thread.voteScore,
+        replyCount: thread.replyCount,
+        createdAt: thread.createdAt
+      })),
+      ...replies.map(reply => ({
+        type: 'reply',
+        id: reply._id,
+        score: reply.get('score') || 0,
+        thread: reply.thread ? { id: reply.thread._id, title: reply.thread.title } : null,
+        snippet: highlight(toPlainText(reply.content), terms),
+        author: reply.author,
+        voteScore: reply.voteScore,
+        createdAt: reply.createdAt
+      }))
+    ];
+
+    hits.sort((a, b) => (b.score - a.score) || (b.createdAt - a.createdAt));
+
+    const total = threadTotal + replyTotal;
+
+    res.json({
+      results: hits.slice((page - 1) * limit, page * limit),
+      counts: {
+        threads: threadTotal,
+        replies: replyTotal
+      },
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ message: error.message, token: error.token });
+    }
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const Subscription = require('../models/Subscription');
+const Thread = require('../models/Thread');
+const Category = require('../models/Category');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyToken } = require('../utils/signedLinks');
+
+const router = express.Router();
+
+// Get current user's subscriptions
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    const threadIds = subscriptions.filter(s => s.targetType === 'thread').map(s => s.target);
+    const categoryIds = subscriptions.filter(s => s.targetType === 'category').map(s => s.target);
+
+    const threads = await Thread.find({ _id: { $in: threadIds } }).select('title');
+    const categories = await Category.find({ _id: { $in: categoryIds } }).select('name color');
+    const targets = new Map([...threads, ...categories].map(doc => [doc._id.toString(), doc]));
+
+    res.json({
+      subscriptions: subscriptions.map(subscription => ({
+        id: subscription._id,
+        targetType: subscription.targetType,
+        target: targets.get(subscription.target.toString()) || { _id: subscription.target },
+        frequency: subscription.frequency,
+        lastSentAt: subscription.lastSentAt,
+        createdAt: subscription.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// One-click unsubscribe from a signed digest link. POST is used by mail
+// clients that support List-Unsubscribe-Post; GET by people clicking the link.
+const unsubscribeWithToken = async (req, res) => {
+  try {
+    const payload = verifyToken('unsubscribe', req.query.token);
+    if (!payload) {
+      return res.status(400).json({ message: 'Invalid or tampered unsubscribe link' });
+    }
+
+    let removed = 0;
+    if (payload.subscription) {
+      const result = await Subscription.deleteOne({ _id: payload.subscription });
+      removed = result.deletedCount;
+    } else if (payload.user) {
+      const result = await Subscription.deleteMany({ user: payload.user, frequency: payload.frequency });
+      removed = result.deletedCount;
+    }
+
+    res.json({
+      message: removed > 0 ? 'You have been unsubscribed' : 'You were already unsubscribed',
+      removed
+    });
+  } catch (error) {
+    console.error('Unsubscribe link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.get('/unsubscribe', unsubscribeWithToken);
+router.post('/unsubscribe', unsubscribeWithToken);
+
+// Remove one of the current user's subscriptions
+router.delete('/:subscriptionId', authenticateToken, async (req, res) => {
+  try {
+    const result = await Subscription.deleteOne({ _id: req.params.subscriptionId, user: req.user._id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    res.json({ message: 'Subscription removed' });
+  } catch (error) {
+    console.error('Delete subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,12 @@
 const express = require('express');
 const Tag = require('../models/Tag');
 const Thread = require('../models/Thread');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { getBookmarkedThreadIds } = require('../utils/bookmarks');
+const { getUserFilters, excludeBlocked, isFilteredAuthor } = require('../utils/blocks');
+const { renderMarkdown, excerpt } = require('../utils/markdown');
+const { follow, unfollow, moveFollows, removeFollows, isFollowing } = require('../utils/follows');
 
 const router = express.Router();
 
@@ -71,7 +76,7 @@ router.get('/popular', async (req, res) => {
 });
 
 // Get single tag with threads
-router.get('/:tagId', async (req, res) => {
+router.get('/:tagId', optionalAuth, async (req, res) => {
   try {
     const tag = await Tag.findById(req.params.tagId);
     if (!tag) {
@@ -82,8 +87,10 @@ router.get('/:tagId', async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // Get threads with this tag
-    const threads = await Thread.find({ tags: tag._id })
+    // Get threads with this tag, leaving out those by users you have blocked
+    const filters = await getUserFilters(req.user);
+    const query = { tags: tag._id, isDeleted: { $ne: true }, ...excludeBlocked(filters) };
+    const threads = await Thread.find(query)
       .populate('author', 'username avatar reputation')
       .populate('category', 'name color')
       .populate('tags', 'name color')
@@ -91,22 +98,23 @@ router.get('/:tagId', async (req, res) => {
       .skip(skip)
       .limit(limit);
 
-    const total = await Thread.countDocuments({ tags: tag._id });
+    const total = await Thread.countDocuments(query);
+    const bookmarked = await getBookmarkedThreadIds(req.user, threads.map(thread => thread._id));
 
     const threadsWithVotes = threads.map(thread => {
-      const upvotes = thread.votes.filter(v => v.type === 'upvote').length;
-      const downvotes = thread.votes.filter(v => v.type === 'downvote').length;
-      
       return {
         id: thread._id,
         title: thread.title,
-        content: thread.content.substring(0, 200) + '...',
+        content: excerpt(thread.content, 200),
+        contentHtml: renderMarkdown(thread.content),
         author: thread.author,
         category: thread.category,
         tags: thread.tags,
-        voteScore: upvotes - downvotes,
-        replyCount: thread.replies.length,
+        voteScore: thread.voteScore,
+        isBookmarked: bookmarked.has(thread._id.toString()),
+        replyCount: thread.replyCount,
         views: thread.views,
+        isCollapsed: isFilteredAuthor(filters.muted, thread.author),
         createdAt: thread.createdAt,
         lastActivity: thread.lastActivity
       };
@@ -119,6 +127,7 @@ router.get('/:tagId', async (req, res) => {
         description: tag.description,
         usageCount: tag.usageCount,
         color: tag.color,
+        isFollowing: await isFollowing(req.user, 'tag', tag._id),
         createdAt: tag.createdAt
       },
       threads: threadsWithVotes,
@@ -161,12 +170,22 @@ router.put('/:tagId', authenticateToken, requireRole(['admin']), async (req, res
       }
     }
 
+    const before = snapshot('tag', tag);
+
     tag.name = normalizedName;
     if (description !== undefined) tag.description = description;
     if (color) tag.color = color;
 
     await tag.save();
 
+    await recordAudit(req, {
+      action: 'tag.update',
+      targetType: 'tag',
+      target: tag._id,
+      before,
+      after: snapshot('tag', tag)
+    });
+
     res.json({
       message: 'Tag updated successfully',
       tag: {
@@ -198,6 +217,14 @@ router.delete('/:tagId', authenticateToken, requireRole(['admin']), async (req,
     }
 
     await Tag.findByIdAndDelete(req.params.tagId);
+    await removeFollows('tag', tag._id);
+
+    await recordAudit(req, {
+      action: 'tag.delete',
+      targetType: 'tag',
+      target: tag._id,
+      before: snapshot('tag', tag)
+    });
 
     res.json({ message: 'Tag deleted successfully' });
   } catch (error) {
@@ -232,12 +259,23 @@ router.post('/:tagId/merge', authenticateToken, requireRole(['admin']), async (r
       { $set: { "tags.$": targetTag._id } }
     );
 
+    const before = snapshot('tag', targetTag);
+
     // Update target tag usage count
     targetTag.usageCount += sourceTag.usageCount;
     await targetTag.save();
 
-    // Delete source tag
+    // Delete source tag; its followers now follow the target
     await Tag.findByIdAndDelete(sourceTag._id);
+    await moveFollows('tag', sourceTag._id, targetTag._id);
+
+    await recordAudit(req, {
+      action: 'tag.merge',
+      targetType: 'tag',
+      target: targetTag._id,
+      before: { ...before, mergedTag: { id: sourceTag._id, ...snapshot('tag', sourceTag) } },
+      after: snapshot('tag', targetTag)
+    });
 
     res.json({
       message: 'Tags merged successfully',
@@ -253,6 +291,37 @@ router.post('/:tagId/merge', authenticateToken, requireRole(['admin']), async (r
   }
 });
 
+// Follow a tag; its new threads show up in your feed
+router.post('/:tagId/follow', authenticateToken, async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.tagId);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    await follow(req.user._id, 'tag', tag._id);
+
+    res.json({ message: 'Following tag', isFollowing: true });
+  } catch (error) {
+    console.error('Follow tag error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unfollow a tag
+router.delete('/:tagId/follow', authenticateToken, async (req, res) => {
+  try {
+    if (!(await unfollow(req.user._id, 'tag', req.params.tagId))) {
+      return res.status(404).json({ message: 'You are not following this tag' });
+    }
+
+    res.json({ message: 'Unfollowed tag', isFollowing: false });
+  } catch (error) {
+    console.error('Unfollow tag error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get tag suggestions based on partial input
 router.get('/suggest/:partial', async (req, res) => {
   try {
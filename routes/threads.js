@@ -1,9 +1,57 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
 const Category = require('../models/Category');
 const Tag = require('../models/Tag');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
-const { validateThread } = require('../middleware/validation');
+const Subscription = require('../models/Subscription');
+const Bookmark = require('../models/Bookmark');
+const { getPeriodStart, TOP_PERIODS } = require('../utils/ranking');
+const { decodeCursor } = require('../utils/pagination');
+const { processReplies, loadReplyPage, loadReply } = require('../utils/replyTree');
+const { resolveSearchQuery, SearchQueryError } = require('../utils/searchQuery');
+const { notifyModeration, notifyAcceptedAnswer } = require('../utils/notifications');
+const { resolveMentions, notifyMentions, formatMentions } = require('../utils/mentions');
+const { publish, subscribe, threadChannel } = require('../utils/eventBus');
+const { getBookmarkedThreadIds } = require('../utils/bookmarks');
+const { getUserFilters, excludeBlocked, isFilteredAuthor } = require('../utils/blocks');
+const { deleteThread } = require('../utils/content');
+const { fileReport } = require('../utils/reports');
+const { renderMarkdown, excerpt } = require('../utils/markdown');
+const {
+  AttachmentError,
+  findAttachable,
+  attachToPost,
+  releaseFromPost,
+  preparePostAttachments,
+  applyPostAttachments,
+  formatAttachment,
+  getPostAttachments
+} = require('../utils/attachments');
+const { recordModeration, clearPin, isPinActive, activePinExpression } = require('../utils/threadModeration');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { hasPrivilege, privilegeMessage } = require('../utils/privileges');
+const { recordActiveDay, evaluateBadges } = require('../utils/badges');
+const { acceptAnswer, unacceptAnswer } = require('../utils/answers');
+const { PollError, buildPoll, findBallot, formatPoll, castBallot } = require('../utils/polls');
+const {
+  recordRevision,
+  ensureInitialRevision,
+  getRevisions,
+  findRevision,
+  buildRevisionHistory
+} = require('../utils/revisions');
+const { authenticateToken, optionalAuth, allowQueryToken, requireRole } = require('../middleware/auth');
+const {
+  validateThread,
+  validateSubscription,
+  validateBookmark,
+  validateReport,
+  validatePollVote,
+  validatePin,
+  validateLock,
+  validateMove
+} = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -16,12 +64,23 @@ router.get('/', optionalAuth, async (req, res) => {
       category,
       tags,
       sort = 'recent',
-      search
+      period = 'all',
+      search,
+      unsolved
     } = req.query;
 
+    if (search !== undefined && typeof search !== 'string') {
+      return res.status(400).json({ message: 'Invalid search query' });
+    }
+
     const skip = (page - 1) * limit;
-    let query = {};
+    let query = { isDeleted: { $ne: true } };
     let sortOptions = {};
+    let pinField = null;
+
+    // Threads by users you have blocked are hidden; muted users' are collapsed
+    const filters = await getUserFilters(req.user);
+    Object.assign(query, excludeBlocked(filters));
 
     // Filter by category
     if (category) {
@@ -34,12 +93,23 @@ router.get('/', optionalAuth, async (req, res) => {
       query.tags = { $in: tagArray };
     }
 
-    // Search in title and content
+    // Questions without an accepted answer
+    if (unsolved === 'true') {
+      query.isQuestion = true;
+      query.isSolved = false;
+    }
+
+    // Search supports free text plus operators like tag:react or score:>5
+    let searchText = '';
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
-      ];
+      const { text, filter } = await resolveSearchQuery(search);
+      searchText = text;
+      if (text) {
+        query.$text = { $search: text };
+      }
+      if (Object.keys(filter).length > 0) {
+        query.$and = [filter];
+      }
     }
 
     // Sort options
@@ -48,30 +118,69 @@ router.get('/', optionalAuth, async (req, res) => {
         sortOptions = { views: -1, createdAt: -1 };
         break;
       case 'votes':
-        // This would need aggregation for proper vote sorting
-        sortOptions = { createdAt: -1 };
+        sortOptions = { voteScore: -1, createdAt: -1 };
+        break;
+      case 'hot':
+        sortOptions = { hotScore: -1 };
+        break;
+      case 'top': {
+        if (!Object.prototype.hasOwnProperty.call(TOP_PERIODS, period)) {
+          return res.status(400).json({
+            message: `Invalid period. Use one of: ${Object.keys(TOP_PERIODS).join(', ')}`
+          });
+        }
+        const periodStart = getPeriodStart(period);
+        if (periodStart) {
+          query.createdAt = { $gte: periodStart };
+        }
+        sortOptions = { voteScore: -1, createdAt: -1 };
+        break;
+      }
+      case 'controversial':
+        sortOptions = { controversyScore: -1, createdAt: -1 };
+        break;
+      case 'relevance':
+        if (!searchText) {
+          return res.status(400).json({ message: 'Relevance sort requires search text' });
+        }
+        sortOptions = { score: { $meta: 'textScore' } };
         break;
       case 'recent':
       default:
-        sortOptions = { isPinned: -1, lastActivity: -1 };
+        // Category pins only lead their own category's listing
+        pinField = category ? 'isPinned' : 'pinnedGlobally';
     }
 
-    const threads = await Thread.find(query)
-      .populate('author', 'username avatar reputation')
-      .populate('category', 'name color')
-      .populate('tags', 'name color')
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit));
+    const populate = [
+      { path: 'author', select: 'username avatar reputation' },
+      { path: 'category', select: 'name color' },
+      { path: 'tags', select: 'name color' }
+    ];
+
+    let threads;
+    if (pinField) {
+      // Pins that have expired but not yet been cleared by the maintenance job sort as unpinned
+      const results = await Thread.aggregate([
+        { $match: Thread.find(query).cast() },
+        { $addFields: { pinRank: { $cond: [activePinExpression(pinField), 1, 0] } } },
+        { $sort: { pinRank: -1, lastActivity: -1 } },
+        { $skip: skip },
+        { $limit: parseInt(limit) }
+      ]);
+      threads = await Thread.populate(results.map(result => Thread.hydrate(result)), populate);
+    } else {
+      threads = await Thread.find(query)
+        .populate(populate)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(parseInt(limit));
+    }
 
     const total = await Thread.countDocuments(query);
+    const bookmarked = await getBookmarkedThreadIds(req.user, threads.map(thread => thread._id));
 
-    // Add vote scores and user vote status
+    // Add user vote and bookmark status
     const threadsWithVotes = threads.map(thread => {
-      const upvotes = thread.votes.filter(v => v.type === 'upvote').length;
-      const downvotes = thread.votes.filter(v => v.type === 'downvote').length;
-      const voteScore = upvotes - downvotes;
-      
       let userVote = null;
       if (req.user) {
         const vote = thread.votes.find(v => v.user.toString() === req.user._id.toString());
@@ -81,16 +190,26 @@ router.get('/', optionalAuth, async (req, res) => {
       return {
         id: thread._id,
         title: thread.title,
-        content: thread.content.substring(0, 300) + (thread.content.length > 300 ? '...' : ''),
+        content: excerpt(thread.content, 300),
+        contentHtml: renderMarkdown(thread.content),
         author: thread.author,
         category: thread.category,
         tags: thread.tags,
-        voteScore,
+        voteScore: thread.voteScore,
+        upvoteCount: thread.upvoteCount,
+        downvoteCount: thread.downvoteCount,
         userVote,
-        replyCount: thread.replies.length,
+        isBookmarked: bookmarked.has(thread._id.toString()),
+        replyCount: thread.replyCount,
         views: thread.views,
-        isPinned: thread.isPinned,
+        isPinned: isPinActive(thread),
+        pinScope: isPinActive(thread) ? thread.pinScope : null,
         isLocked: thread.isLocked,
+        lockReason: thread.lockReason,
+        isQuestion: thread.isQuestion,
+        isSolved: thread.isSolved,
+        hasPoll: Boolean(thread.poll),
+        isCollapsed: isFilteredAuthor(filters.muted, thread.author),
         createdAt: thread.createdAt,
         lastActivity: thread.lastActivity
       };
@@ -105,11 +224,31 @@ router.get('/', optionalAuth, async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ message: error.message, token: error.token });
+    }
     console.error('Get threads error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Tag names that do not exist yet and would be created for a thread
+const findNewTagNames = async (tags) => {
+  const names = [...new Set(tags.map(name => name.trim().toLowerCase()))];
+  const existing = await Tag.find({ name: { $in: names } }).distinct('name');
+  return names.filter(name => !existing.includes(name));
+};
+
+// Creating tags is a privilege; returns the response to send when the user lacks it
+const checkTagCreation = async (req, tags) => {
+  if (!tags || tags.length === 0 || hasPrivilege(req.user, 'createTag')) {
+    return null;
+  }
+
+  const newTags = await findNewTagNames(tags);
+  return newTags.length > 0 ? { message: privilegeMessage('createTag'), tags: newTags } : null;
+};
+
 // Create new thread
 router.post('/', authenticateToken, validateThread, async (req, res) => {
   try {
@@ -121,6 +260,13 @@ router.post('/', authenticateToken, validateThread, async (req, res) => {
       return res.status(400).json({ message: 'Invalid category' });
     }
 
+    const attachments = await findAttachable(req.body.attachments, req.user._id);
+
+    const tagError = await checkTagCreation(req, tags);
+    if (tagError) {
+      return res.status(403).json(tagError);
+    }
+
     // Process tags
     let tagIds = [];
     if (tags && tags.length > 0) {
@@ -142,20 +288,37 @@ router.post('/', authenticateToken, validateThread, async (req, res) => {
       content,
       author: req.user._id,
       category,
-      tags: tagIds
+      tags: tagIds,
+      mentions: await resolveMentions(content),
+      isQuestion: categoryDoc.isQnA,
+      poll: buildPoll(req.body.poll)
     });
 
-    await thread.save();
+    // Claim the uploads first: a concurrent post may have taken one since they were checked
+    await attachToPost(attachments, { thread: thread._id });
+    try {
+      await thread.save();
+    } catch (error) {
+      await releaseFromPost(attachments, { thread: thread._id });
+      throw error;
+    }
+    await recordRevision('thread', thread, { editor: req.user._id, action: 'create' });
+
+    await notifyMentions({ mentions: thread.mentions, actor: req.user._id, thread: thread._id });
 
     // Update category thread count
     categoryDoc.threadCount += 1;
     await categoryDoc.save();
 
+    await recordActiveDay(req.user._id);
+    await evaluateBadges(req.user._id, 'thread.created');
+
     // Populate and return
     await thread.populate([
       { path: 'author', select: 'username avatar reputation' },
       { path: 'category', select: 'name color' },
-      { path: 'tags', select: 'name color' }
+      { path: 'tags', select: 'name color' },
+      { path: 'mentions.user', select: 'username' }
     ]);
 
     res.status(201).json({
@@ -164,9 +327,15 @@ router.post('/', authenticateToken, validateThread, async (req, res) => {
         id: thread._id,
         title: thread.title,
         content: thread.content,
+        contentHtml: renderMarkdown(thread.content),
+        mentions: formatMentions(thread.mentions),
         author: thread.author,
         category: thread.category,
         tags: thread.tags,
+        attachments: attachments.map(formatAttachment),
+        isQuestion: thread.isQuestion,
+        isSolved: false,
+        poll: thread.poll ? formatPoll(thread.poll) : null,
         voteScore: 0,
         replyCount: 0,
         views: thread.views,
@@ -174,6 +343,9 @@ router.post('/', authenticateToken, validateThread, async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Create thread error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -182,11 +354,12 @@ router.post('/', authenticateToken, validateThread, async (req, res) => {
 // Get single thread by ID
 router.get('/:threadId', optionalAuth, async (req, res) => {
   try {
-    const thread = await Thread.findById(req.params.threadId)
+    const thread = await Thread.findById(req.params.threadId).notDeleted()
       .populate('author', 'username avatar reputation role')
       .populate('category', 'name color')
       .populate('tags', 'name color')
-      .populate('replies.author', 'username avatar reputation role');
+      .populate('mentions.user', 'username')
+      .populate('lockedBy', 'username');
 
     if (!thread) {
       return res.status(404).json({ message: 'Thread not found' });
@@ -198,59 +371,59 @@ router.get('/:threadId', optionalAuth, async (req, res) => {
       await thread.save();
     }
 
-    // Calculate vote scores and user votes
-    const upvotes = thread.votes.filter(v => v.type === 'upvote').length;
-    const downvotes = thread.votes.filter(v => v.type === 'downvote').length;
-    const voteScore = upvotes - downvotes;
-    
+    // Determine the current user's vote
     let userVote = null;
     if (req.user) {
       const vote = thread.votes.find(v => v.user.toString() === req.user._id.toString());
       userVote = vote ? vote.type : null;
     }
 
-    // Process replies with vote scores
-    const processReplies = (replies) => {
-      return replies.map(reply => {
-        const replyUpvotes = reply.votes.filter(v => v.type === 'upvote').length;
-        const replyDownvotes = reply.votes.filter(v => v.type === 'downvote').length;
-        const replyVoteScore = replyUpvotes - replyDownvotes;
-        
-        let replyUserVote = null;
-        if (req.user) {
-          const vote = reply.votes.find(v => v.user.toString() === req.user._id.toString());
-          replyUserVote = vote ? vote.type : null;
-        }
+    const bookmarked = await getBookmarkedThreadIds(req.user, [thread._id]);
+    const attachments = await getPostAttachments({ thread: thread._id });
+    const filters = await getUserFilters(req.user);
+    const ballot = thread.poll ? await findBallot(thread._id, req.user) : null;
 
-        return {
-          id: reply._id,
-          content: reply.content,
-          author: reply.author,
-          voteScore: replyVoteScore,
-          userVote: replyUserVote,
-          parentReply: reply.parentReply,
-          replies: processReplies(reply.replies || []),
-          isEdited: reply.isEdited,
-          editedAt: reply.editedAt,
-          createdAt: reply.createdAt
-        };
-      });
-    };
+    // Load the first page of replies; the rest come from GET /:threadId/replies
+    const replyPage = await loadReplyPage({ threadId: thread._id, filters });
+
+    // The accepted answer is shown under the question as well as in its place among the replies
+    const acceptedAnswer = thread.acceptedAnswer ? await loadReply(thread.acceptedAnswer) : null;
 
     res.json({
       thread: {
         id: thread._id,
         title: thread.title,
         content: thread.content,
+        contentHtml: renderMarkdown(thread.content),
+        mentions: formatMentions(thread.mentions),
         author: thread.author,
         category: thread.category,
         tags: thread.tags,
-        voteScore,
+        voteScore: thread.voteScore,
+        upvoteCount: thread.upvoteCount,
+        downvoteCount: thread.downvoteCount,
         userVote,
-        replies: processReplies(thread.replies),
+        isBookmarked: bookmarked.has(thread._id.toString()),
+        attachments,
+        poll: thread.poll ? formatPoll(thread.poll, ballot) : null,
+        isQuestion: thread.isQuestion,
+        isSolved: thread.isSolved,
+        acceptedAnswer: acceptedAnswer
+          ? processReplies([acceptedAnswer], req.user, { acceptedAnswer: thread.acceptedAnswer, filters })[0] || null
+          : null,
+        replyCount: thread.replyCount,
+        replies: processReplies(replyPage.replies, req.user, { acceptedAnswer: thread.acceptedAnswer, filters }),
+        repliesCursor: replyPage.nextCursor,
         views: thread.views,
-        isPinned: thread.isPinned,
+        isPinned: isPinActive(thread),
+        pinScope: isPinActive(thread) ? thread.pinScope : null,
+        pinExpiresAt: isPinActive(thread) ? thread.pinExpiresAt : null,
         isLocked: thread.isLocked,
+        lock: thread.isLocked ? {
+          reason: thread.lockReason,
+          lockedBy: thread.lockedBy,
+          lockedAt: thread.lockedAt
+        } : null,
         isEdited: thread.isEdited,
         editedAt: thread.editedAt,
         createdAt: thread.createdAt,
@@ -263,10 +436,817 @@ router.get('/:threadId', optionalAuth, async (req, res) => {
   }
 });
 
+// Get a page of replies for a thread, with nested children up to `depth` levels
+router.get('/:threadId/replies', optionalAuth, async (req, res) => {
+  try {
+    const { parentId, cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const depth = Math.min(Math.max(parseInt(req.query.depth) || 3, 1), 10);
+    const childLimit = Math.min(Math.max(parseInt(req.query.childLimit) || 5, 1), 50);
+
+    const thread = await Thread.findById(req.params.threadId).notDeleted().select('_id replyCount acceptedAnswer');
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    let parent = null;
+    if (parentId) {
+      if (!mongoose.isValidObjectId(parentId)) {
+        return res.status(400).json({ message: 'Invalid parent reply ID' });
+      }
+
+      parent = await Reply.findOne({ _id: parentId, thread: thread._id }).select('_id');
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent reply not found' });
+      }
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+      decodedCursor = decodeCursor(cursor);
+      if (!decodedCursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+    }
+
+    const filters = await getUserFilters(req.user);
+
+    const page = await loadReplyPage({
+      threadId: thread._id,
+      parentId: parent ? parent._id : null,
+      cursor: decodedCursor,
+      limit,
+      depth,
+      childLimit,
+      filters
+    });
+
+    res.json({
+      replies: processReplies(page.replies, req.user, { acceptedAnswer: thread.acceptedAnswer, filters }),
+      nextCursor: page.nextCursor,
+      replyCount: thread.replyCount
+    });
+  } catch (error) {
+    console.error('Get replies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Interval between keep-alive comments on event streams
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Open streams in this process; each holds a socket, a subscription and a timer
+const MAX_EVENT_STREAMS = parseInt(process.env.MAX_EVENT_STREAMS) || 1000;
+let openStreams = 0;
+
+// Stream live thread updates (new, edited and deleted replies, vote changes) as Server-Sent Events.
+// Anonymous readers are allowed; a supplied token must pass the usual checks.
+router.get('/:threadId/events', allowQueryToken, (req, res, next) => {
+  return req.headers['authorization'] ? authenticateToken(req, res, next) : next();
+}, async (req, res) => {
+  if (openStreams >= MAX_EVENT_STREAMS) {
+    return res.status(503).json({ message: 'Too many live connections. Please try again later.' });
+  }
+
+  // Count the stream and listen for the disconnect before any await, so a
+  // client that leaves early never leaves a subscription behind
+  openStreams += 1;
+  let cleanup = null;
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    openStreams -= 1;
+    if (cleanup) {
+      cleanup();
+    }
+  });
+
+  try {
+    const thread = await Thread.findById(req.params.threadId).notDeleted().select('_id');
+    if (closed) {
+      return;
+    }
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribe(threadChannel(thread._id), (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+
+    const heartbeat = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, STREAM_HEARTBEAT_MS);
+
+    cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+  } catch (error) {
+    console.error('Thread events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Subscribe to a digest of new replies in a thread
+router.post('/:threadId/subscribe', authenticateToken, validateSubscription, async (req, res) => {
+  try {
+    const thread = await Thread.findById(req.params.threadId).notDeleted().select('_id');
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { user: req.user._id, targetType: 'thread', target: thread._id },
+      { $set: { frequency: req.body.frequency || 'daily' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: 'Subscribed to thread',
+      subscription: {
+        id: subscription._id,
+        targetType: subscription.targetType,
+        target: subscription.target,
+        frequency: subscription.frequency
+      }
+    });
+  } catch (error) {
+    console.error('Thread subscribe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unsubscribe from a thread
+router.delete('/:threadId/subscribe', authenticateToken, async (req, res) => {
+  try {
+    const result = await Subscription.deleteOne({
+      user: req.user._id,
+      targetType: 'thread',
+      target: req.params.threadId
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    res.json({ message: 'Unsubscribed from thread' });
+  } catch (error) {
+    console.error('Thread unsubscribe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bookmark a thread, optionally in a named folder with a note
+router.post('/:threadId/bookmark', authenticateToken, validateBookmark, async (req, res) => {
+  try {
+    const thread = await Thread.findById(req.params.threadId).notDeleted().select('_id');
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    const update = {};
+    if (req.body.folder !== undefined) update.folder = req.body.folder || null;
+    if (req.body.note !== undefined) update.note = req.body.note;
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.user._id, thread: thread._id },
+      { $set: update },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: 'Thread bookmarked',
+      bookmark: {
+        id: bookmark._id,
+        thread: bookmark.thread,
+        folder: bookmark.folder,
+        note: bookmark.note,
+        createdAt: bookmark.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Bookmark thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a bookmark
+router.delete('/:threadId/bookmark', authenticateToken, async (req, res) => {
+  try {
+    const result = await Bookmark.deleteOne({ user: req.user._id, thread: req.params.threadId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Bookmark not found' });
+    }
+
+    res.json({ message: 'Bookmark removed' });
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Report a thread to moderators
+router.post('/:threadId/report', authenticateToken, validateReport, async (req, res) => {
+  try {
+    const thread = await Thread.findById(req.params.threadId).notDeleted().select('_id author category');
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    if (thread.author.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot report your own thread' });
+    }
+
+    const { report, duplicate } = await fileReport({
+      thread,
+      reporter: req.user._id,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+
+    if (duplicate) {
+      return res.status(400).json({ message: 'You have already reported this thread' });
+    }
+
+    res.status(201).json({
+      message: 'Thread reported',
+      report: { id: report._id, status: report.status }
+    });
+  } catch (error) {
+    console.error('Report thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Vote in a thread's poll. Each user gets one ballot; the response has the updated tallies.
+router.post('/:threadId/poll/vote', authenticateToken, validatePollVote, async (req, res) => {
+  try {
+    const thread = await Thread.findById(req.params.threadId).notDeleted().select('poll isLocked lockReason');
+    if (!thread || !thread.poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (thread.isLocked) {
+      return res.status(403).json({
+        message: thread.lockReason ? `Thread is locked: ${thread.lockReason}` : 'Thread is locked',
+        lockReason: thread.lockReason || null
+      });
+    }
+
+    const { poll, ballot } = await castBallot(thread, req.user, req.body.options);
+    const formatted = formatPoll(poll, ballot);
+
+    // Live tallies go to everyone watching only when results are public
+    if (poll.showResultsBeforeVoting) {
+      publish(threadChannel(thread._id), 'poll:updated', {
+        threadId: thread._id,
+        options: formatted.options,
+        totalBallots: formatted.totalBallots
+      });
+    }
+
+    res.json({
+      message: 'Vote recorded successfully',
+      poll: formatted
+    });
+  } catch (error) {
+    if (error instanceof PollError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Poll vote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load a Q&A thread for accepting an answer and check that the user may do so:
+// the thread author while the thread is unlocked, or a moderator or admin
+const loadQuestion = async (req, res, next) => {
+  try {
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    if (!thread.isQuestion) {
+      return res.status(400).json({ message: 'Only questions in Q&A categories can have an accepted answer' });
+    }
+
+    const isModerator = ['moderator', 'admin'].includes(req.user.role);
+    if (thread.author.toString() !== req.user._id.toString() && !isModerator) {
+      return res.status(403).json({ message: 'Only the author or a moderator can choose the accepted answer' });
+    }
+
+    if (thread.isLocked && !isModerator) {
+      return res.status(403).json({ message: 'Thread is locked', lockReason: thread.lockReason || null });
+    }
+
+    req.thread = thread;
+    next();
+  } catch (error) {
+    console.error('Load question error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const isAuthor = (thread, user) => thread.author.toString() === user._id.toString();
+
+// Accept a top-level reply as the answer to a question
+router.post('/:threadId/accepted-answer/:replyId', authenticateToken, loadQuestion, async (req, res) => {
+  try {
+    const thread = req.thread;
+
+    if (!mongoose.isValidObjectId(req.params.replyId)) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    const reply = await Reply.findOne({ _id: req.params.replyId, thread: thread._id }).notDeleted();
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    if (reply.parentReply) {
+      return res.status(400).json({ message: 'Only top-level replies can be accepted as the answer' });
+    }
+
+    if (thread.acceptedAnswer && thread.acceptedAnswer.toString() === reply._id.toString()) {
+      return res.status(400).json({ message: 'Reply is already the accepted answer' });
+    }
+
+    const before = snapshot('thread', thread);
+
+    await acceptAnswer(thread, reply, req.user._id);
+
+    if (!isAuthor(thread, req.user)) {
+      await recordAudit(req, {
+        action: 'thread.accept',
+        targetType: 'thread',
+        target: thread._id,
+        before,
+        after: snapshot('thread', thread)
+      });
+    }
+
+    await notifyAcceptedAnswer({ thread, reply, actor: req.user._id });
+
+    publish(threadChannel(thread._id), 'answer:accepted', {
+      threadId: thread._id,
+      replyId: reply._id
+    });
+
+    res.json({
+      message: 'Answer accepted',
+      thread: {
+        id: thread._id,
+        acceptedAnswer: thread.acceptedAnswer,
+        acceptedAt: thread.acceptedAt,
+        isSolved: thread.isSolved
+      }
+    });
+  } catch (error) {
+    console.error('Accept answer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the accepted answer from a question
+router.delete('/:threadId/accepted-answer', authenticateToken, loadQuestion, async (req, res) => {
+  try {
+    const thread = req.thread;
+
+    if (!thread.acceptedAnswer) {
+      return res.status(400).json({ message: 'Thread has no accepted answer' });
+    }
+
+    const before = snapshot('thread', thread);
+    const replyId = thread.acceptedAnswer;
+
+    await unacceptAnswer(thread, req.user._id);
+
+    if (!isAuthor(thread, req.user)) {
+      await recordAudit(req, {
+        action: 'thread.unaccept',
+        targetType: 'thread',
+        target: thread._id,
+        before,
+        after: snapshot('thread', thread)
+      });
+    }
+
+    publish(threadChannel(thread._id), 'answer:unaccepted', {
+      threadId: thread._id,
+      replyId
+    });
+
+    res.json({
+      message: 'Accepted answer removed',
+      thread: {
+        id: thread._id,
+        acceptedAnswer: null,
+        isSolved: false
+      }
+    });
+  } catch (error) {
+    console.error('Unaccept answer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const requireModerator = requireRole(['moderator', 'admin']);
+
+// Pin a thread globally or within its category, optionally until a given date
+router.post('/:threadId/pin', authenticateToken, requireModerator, validatePin, async (req, res) => {
+  try {
+    const { scope = 'global', expiresAt, reason } = req.body;
+
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    const before = snapshot('thread', thread);
+
+    thread.isPinned = true;
+    thread.pinScope = scope;
+    thread.pinnedGlobally = scope === 'global';
+    thread.pinExpiresAt = expiresAt ? new Date(expiresAt) : undefined;
+    thread.pinnedBy = req.user._id;
+    thread.pinnedAt = new Date();
+    recordModeration(thread, {
+      action: 'pin',
+      moderator: req.user._id,
+      reason,
+      details: { scope, expiresAt: thread.pinExpiresAt || null }
+    });
+
+    await thread.save();
+
+    await recordAudit(req, {
+      action: 'thread.pin',
+      targetType: 'thread',
+      target: thread._id,
+      before,
+      after: snapshot('thread', thread),
+      reason
+    });
+
+    res.json({
+      message: 'Thread pinned',
+      thread: {
+        id: thread._id,
+        isPinned: thread.isPinned,
+        pinScope: thread.pinScope,
+        pinExpiresAt: thread.pinExpiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Pin thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unpin a thread
+router.delete('/:threadId/pin', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    if (!thread.isPinned) {
+      return res.status(400).json({ message: 'Thread is not pinned' });
+    }
+
+    const before = snapshot('thread', thread);
+
+    clearPin(thread);
+    recordModeration(thread, { action: 'unpin', moderator: req.user._id, reason: req.body.reason });
+    await thread.save();
+
+    await recordAudit(req, {
+      action: 'thread.unpin',
+      targetType: 'thread',
+      target: thread._id,
+      before,
+      after: snapshot('thread', thread),
+      reason: req.body.reason
+    });
+
+    res.json({ message: 'Thread unpinned' });
+  } catch (error) {
+    console.error('Unpin thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lock a thread with a reason shown to readers
+router.post('/:threadId/lock', authenticateToken, requireModerator, validateLock, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    if (thread.isLocked) {
+      return res.status(400).json({ message: 'Thread is already locked' });
+    }
+
+    const before = snapshot('thread', thread);
+
+    thread.isLocked = true;
+    thread.lockReason = reason;
+    thread.lockedBy = req.user._id;
+    thread.lockedAt = new Date();
+    recordModeration(thread, { action: 'lock', moderator: req.user._id, reason });
+    await thread.save();
+
+    await recordAudit(req, {
+      action: 'thread.lock',
+      targetType: 'thread',
+      target: thread._id,
+      before,
+      after: snapshot('thread', thread),
+      reason
+    });
+
+    await notifyModeration({
+      recipient: thread.author,
+      actor: req.user._id,
+      thread: thread._id,
+      message: `Your thread "${thread.title}" was locked${reason ? `: ${reason}` : ''}`
+    });
+
+    publish(threadChannel(thread._id), 'thread:locked', {
+      threadId: thread._id,
+      reason: thread.lockReason,
+      lockedAt: thread.lockedAt
+    });
+
+    res.json({
+      message: 'Thread locked',
+      thread: {
+        id: thread._id,
+        isLocked: thread.isLocked,
+        lockReason: thread.lockReason,
+        lockedAt: thread.lockedAt
+      }
+    });
+  } catch (error) {
+    console.error('Lock thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unlock a thread
+router.delete('/:threadId/lock', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    if (!thread.isLocked) {
+      return res.status(400).json({ message: 'Thread is not locked' });
+    }
+
+    const before = snapshot('thread', thread);
+
+    thread.isLocked = false;
+    thread.lockReason = undefined;
+    thread.lockedBy = undefined;
+    thread.lockedAt = undefined;
+    recordModeration(thread, { action: 'unlock', moderator: req.user._id, reason: req.body.reason });
+    await thread.save();
+
+    await recordAudit(req, {
+      action: 'thread.unlock',
+      targetType: 'thread',
+      target: thread._id,
+      before,
+      after: snapshot('thread', thread),
+      reason: req.body.reason
+    });
+
+    publish(threadChannel(thread._id), 'thread:unlocked', { threadId: thread._id });
+
+    res.json({ message: 'Thread unlocked' });
+  } catch (error) {
+    console.error('Unlock thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a thread to another category
+router.post('/:threadId/move', authenticateToken, requireModerator, validateMove, async (req, res) => {
+  try {
+    const { categoryId, reason } = req.body;
+
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    if (thread.category.toString() === categoryId) {
+      return res.status(400).json({ message: 'Thread is already in this category' });
+    }
+
+    const newCategory = await Category.findById(categoryId);
+    if (!newCategory || !newCategory.isActive) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    const before = snapshot('thread', thread);
+    const oldCategoryId = thread.category;
+    thread.category = newCategory._id;
+    if (newCategory.isQnA) {
+      thread.isQuestion = true;
+    }
+
+    // A category pin does not carry over to the new category
+    if (thread.pinScope === 'category') {
+      clearPin(thread);
+    }
+
+    recordModeration(thread, {
+      action: 'move',
+      moderator: req.user._id,
+      reason,
+      details: { from: oldCategoryId, to: newCategory._id }
+    });
+    await thread.save();
+
+    await Category.updateOne({ _id: oldCategoryId, threadCount: { $gt: 0 } }, { $inc: { threadCount: -1 } });
+    await Category.updateOne({ _id: newCategory._id }, { $inc: { threadCount: 1 } });
+
+    await recordAudit(req, {
+      action: 'thread.move',
+      targetType: 'thread',
+      target: thread._id,
+      before,
+      after: snapshot('thread', thread),
+      reason
+    });
+
+    await notifyModeration({
+      recipient: thread.author,
+      actor: req.user._id,
+      thread: thread._id,
+      message: `Your thread "${thread.title}" was moved to ${newCategory.name}`
+    });
+
+    res.json({
+      message: 'Thread moved',
+      thread: {
+        id: thread._id,
+        category: {
+          id: newCategory._id,
+          name: newCategory.name,
+          color: newCategory.color
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Move thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the moderation history of a thread
+router.get('/:threadId/moderation-log', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const thread = await Thread.findById(req.params.threadId)
+      .select('moderationLog')
+      .populate('moderationLog.moderator', 'username role');
+
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    res.json({
+      moderationLog: thread.moderationLog.slice().reverse()
+    });
+  } catch (error) {
+    console.error('Moderation log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the edit history of a thread, with a line diff when ?from=<revision>[&to=<revision>] is given
+router.get('/:threadId/revisions', async (req, res) => {
+  try {
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    const history = buildRevisionHistory(await getRevisions('thread', thread), req.query);
+    if (!history) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    console.error('Thread revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore the title and content of an earlier revision
+router.post('/:threadId/revisions/:revision/rollback', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    await ensureInitialRevision('thread', thread);
+    const target = await findRevision('thread', thread, parseInt(req.params.revision));
+    if (!target) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    if (target.title === thread.title && target.content === thread.content) {
+      return res.status(400).json({ message: 'Thread already matches this revision' });
+    }
+
+    const before = snapshot('thread', thread);
+    const previousMentions = thread.mentions.map(mention => mention.toObject());
+
+    thread.title = target.title;
+    thread.content = target.content;
+    thread.mentions = await resolveMentions(thread.content, previousMentions);
+    thread.isEdited = true;
+    thread.editedAt = new Date();
+    await thread.save();
+
+    const revision = await recordRevision('thread', thread, {
+      editor: req.user._id,
+      action: 'rollback',
+      restoredFrom: target.revision
+    });
+
+    await notifyMentions({
+      mentions: thread.mentions,
+      previous: previousMentions,
+      actor: req.user._id,
+      thread: thread._id
+    });
+
+    await recordAudit(req, {
+      action: 'thread.rollback',
+      targetType: 'thread',
+      target: thread._id,
+      before,
+      after: snapshot('thread', thread),
+      reason: `Rolled back to revision ${target.revision}`
+    });
+
+    publish(threadChannel(thread._id), 'thread:updated', {
+      threadId: thread._id,
+      title: thread.title,
+      content: thread.content,
+      contentHtml: renderMarkdown(thread.content),
+      editedAt: thread.editedAt
+    });
+
+    if (thread.author.toString() !== req.user._id.toString()) {
+      await notifyModeration({
+        recipient: thread.author,
+        actor: req.user._id,
+        thread: thread._id,
+        message: `Your thread "${thread.title}" was rolled back to an earlier revision by a moderator`
+      });
+    }
+
+    res.json({
+      message: 'Thread rolled back',
+      revision: revision.revision,
+      restoredFrom: target.revision
+    });
+  } catch (error) {
+    console.error('Thread rollback error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update thread (only by author or admin)
 router.put('/:threadId', authenticateToken, validateThread, async (req, res) => {
   try {
-    const thread = await Thread.findById(req.params.threadId);
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
     
     if (!thread) {
       return res.status(404).json({ message: 'Thread not found' });
@@ -279,20 +1259,45 @@ router.put('/:threadId', authenticateToken, validateThread, async (req, res) =>
 
     const { title, content, category, tags } = req.body;
 
+    const tagError = await checkTagCreation(req, tags);
+    if (tagError) {
+      return res.status(403).json(tagError);
+    }
+
+    const categoryChanged = category !== thread.category.toString();
+    const newCategory = categoryChanged ? await Category.findById(category) : null;
+    if (categoryChanged && !newCategory) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    const attachmentChanges = req.body.attachments !== undefined
+      ? await preparePostAttachments(req.body.attachments, req.user._id, { thread: thread._id })
+      : null;
+
+    // Everything is checked; nothing has been written before this point
+    if (attachmentChanges) {
+      await applyPostAttachments(attachmentChanges, { thread: thread._id });
+    }
+
+    const before = snapshot('thread', thread);
+    const previousMentions = thread.mentions.map(mention => mention.toObject());
+
+    // Edits to the title or content are kept as revisions
+    const textChanged = title !== thread.title || content !== thread.content;
+    if (textChanged) {
+      await ensureInitialRevision('thread', thread);
+    }
+
     // Update basic fields
     thread.title = title;
     thread.content = content;
+    thread.mentions = await resolveMentions(content, previousMentions);
     thread.isEdited = true;
     thread.editedAt = new Date();
 
     // Update category if changed
-    if (category !== thread.category.toString()) {
+    if (categoryChanged) {
       const oldCategory = await Category.findById(thread.category);
-      const newCategory = await Category.findById(category);
-      
-      if (!newCategory) {
-        return res.status(400).json({ message: 'Invalid category' });
-      }
 
       oldCategory.threadCount -= 1;
       newCategory.threadCount += 1;
@@ -300,6 +1305,14 @@ router.put('/:threadId', authenticateToken, validateThread, async (req, res) =>
       await newCategory.save();
       
       thread.category = category;
+      if (newCategory.isQnA) {
+        thread.isQuestion = true;
+      }
+
+      // A category pin does not carry over to the new category
+      if (thread.pinScope === 'category') {
+        clearPin(thread);
+      }
     }
 
     // Update tags
@@ -329,8 +1342,47 @@ router.put('/:threadId', authenticateToken, validateThread, async (req, res) =>
 
     await thread.save();
 
+    if (textChanged) {
+      await recordRevision('thread', thread, { editor: req.user._id });
+    }
+
+    await notifyMentions({
+      mentions: thread.mentions,
+      previous: previousMentions,
+      actor: req.user._id,
+      thread: thread._id
+    });
+
+    publish(threadChannel(thread._id), 'thread:updated', {
+      threadId: thread._id,
+      title: thread.title,
+      content: thread.content,
+      contentHtml: renderMarkdown(thread.content),
+      editedAt: thread.editedAt
+    });
+
+    if (thread.author.toString() !== req.user._id.toString()) {
+      await recordAudit(req, {
+        action: 'thread.edit',
+        targetType: 'thread',
+        target: thread._id,
+        before,
+        after: snapshot('thread', thread)
+      });
+
+      await notifyModeration({
+        recipient: thread.author,
+        actor: req.user._id,
+        thread: thread._id,
+        message: `Your thread "${thread.title}" was edited by a moderator`
+      });
+    }
+
     res.json({ message: 'Thread updated successfully' });
   } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Update thread error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -339,7 +1391,7 @@ router.put('/:threadId', authenticateToken, validateThread, async (req, res) =>
 // Delete thread (only by author or admin)
 router.delete('/:threadId', authenticateToken, async (req, res) => {
   try {
-    const thread = await Thread.findById(req.params.threadId);
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
     
     if (!thread) {
       return res.status(404).json({ message: 'Thread not found' });
@@ -350,23 +1402,22 @@ router.delete('/:threadId', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this thread' });
     }
 
-    // Update category thread count
-    const category = await Category.findById(thread.category);
-    if (category) {
-      category.threadCount = Math.max(0, category.threadCount - 1);
-      await category.save();
-    }
+    await deleteThread(thread, req.user._id);
 
-    // Update tag usage counts
-    for (const tagId of thread.tags) {
-      const tag = await Tag.findById(tagId);
-      if (tag) {
-        tag.usageCount = Math.max(0, tag.usageCount - 1);
-        await tag.save();
-      }
-    }
+    if (thread.author.toString() !== req.user._id.toString()) {
+      await recordAudit(req, {
+        action: 'thread.delete',
+        targetType: 'thread',
+        target: thread._id,
+        before: snapshot('thread', thread)
+      });
 
-    await Thread.findByIdAndDelete(req.params.threadId);
+      await notifyModeration({
+        recipient: thread.author,
+        actor: req.user._id,
+        message: `Your thread "${thread.title}" was removed by a moderator`
+      });
+    }
 
     res.json({ message: 'Thread deleted successfully' });
   } catch (error) {
@@ -1,32 +1,160 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const Bookmark = require('../models/Bookmark');
+const Follow = require('../models/Follow');
+const UserBlock = require('../models/UserBlock');
+const UserMute = require('../models/UserMute');
+const { renderMarkdown, excerpt } = require('../utils/markdown');
+const { getUserBadges } = require('../utils/badges');
+const { follow, unfollow, countFollows, isFollowing } = require('../utils/follows');
+const { block, unblock, mute, unmute, findBlockedBetween, getUserFilters } = require('../utils/blocks');
+const { getThresholds, hasPrivilege } = require('../utils/privileges');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
 
+// Get current user's bookmarks, optionally within one folder
+router.get('/me/bookmarks', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { user: req.user._id };
+    if (req.query.folder !== undefined) {
+      // An empty folder parameter selects unfiled bookmarks
+      query.folder = req.query.folder || null;
+    }
+
+    const bookmarks = await Bookmark.find(query)
+      .populate({
+        path: 'thread',
+        select: 'title author category tags voteScore replyCount createdAt lastActivity isDeleted',
+        populate: [
+          { path: 'author', select: 'username avatar' },
+          { path: 'category', select: 'name color' },
+          { path: 'tags', select: 'name color' }
+        ]
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Bookmark.countDocuments(query);
+
+    res.json({
+      bookmarks: bookmarks.filter(bookmark => bookmark.thread && !bookmark.thread.isDeleted).map(bookmark => ({
+        id: bookmark._id,
+        folder: bookmark.folder,
+        note: bookmark.note,
+        createdAt: bookmark.createdAt,
+        thread: {
+          id: bookmark.thread._id,
+          title: bookmark.thread.title,
+          author: bookmark.thread.author,
+          category: bookmark.thread.category,
+          tags: bookmark.thread.tags,
+          voteScore: bookmark.thread.voteScore,
+          replyCount: bookmark.thread.replyCount,
+          createdAt: bookmark.thread.createdAt,
+          lastActivity: bookmark.thread.lastActivity
+        }
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get current user's bookmark folders with counts
+router.get('/me/bookmarks/folders', authenticateToken, async (req, res) => {
+  try {
+    const folders = await Bookmark.aggregate([
+      { $match: { user: req.user._id } },
+      { $group: { _id: '$folder', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      folders: folders.map(folder => ({
+        name: folder._id,
+        count: folder.count
+      }))
+    });
+  } catch (error) {
+    console.error('Get bookmark folders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the users you have blocked and muted
+router.get('/me/blocks', authenticateToken, async (req, res) => {
+  try {
+    const [blocks, mutes] = await Promise.all([
+      UserBlock.find({ blocker: req.user._id })
+        .populate('blocked', 'username avatar')
+        .sort({ createdAt: -1 }),
+      UserMute.find({ muter: req.user._id })
+        .populate('muted', 'username avatar')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      blocked: blocks
+        .filter(entry => entry.blocked)
+        .map(entry => ({ user: entry.blocked, blockedAt: entry.createdAt })),
+      muted: mutes
+        .filter(entry => entry.muted)
+        .map(entry => ({ user: entry.muted, mutedAt: entry.createdAt }))
+    });
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the reputation each privilege needs and whether the current user has it
+router.get('/me/privileges', authenticateToken, (req, res) => {
+  const thresholds = getThresholds();
+
+  res.json({
+    reputation: req.user.reputation,
+    privileges: Object.keys(thresholds).map(privilege => ({
+      privilege,
+      reputation: thresholds[privilege],
+      granted: hasPrivilege(req.user, privilege)
+    }))
+  });
+});
+
 // Get user profile by ID
 router.get('/:userId', optionalAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.userId)
       .select('-password -email');
 
-    if (!user || !user.isActive) {
+    if (!user || !user.isAccountActive()) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     // Get user's thread count
-    const threadCount = await Thread.countDocuments({ author: user._id });
+    const threadCount = await Thread.countDocuments({ author: user._id, isDeleted: { $ne: true } });
 
     // Get user's total reply count
-    const threads = await Thread.find({}, 'replies');
-    let replyCount = 0;
-    threads.forEach(thread => {
-      replyCount += thread.replies.filter(reply => 
-        reply.author.toString() === user._id.toString()
-      ).length;
-    });
+    const replyCount = await Reply.countDocuments({ author: user._id, isDeleted: { $ne: true } });
+
+    const { followerCount, followingCount } = await countFollows(user._id);
+    const filters = await getUserFilters(req.user);
 
     res.json({
       user: {
@@ -38,7 +166,13 @@ router.get('/:userId', optionalAuth, async (req, res) => {
         role: user.role,
         joinedAt: user.joinedAt,
         threadCount,
-        replyCount
+        replyCount,
+        followerCount,
+        followingCount,
+        isFollowing: await isFollowing(req.user, 'user', user._id),
+        isBlocked: filters.blocked.has(user._id.toString()),
+        isMuted: filters.muted.has(user._id.toString()),
+        badges: await getUserBadges(user._id)
       }
     });
   } catch (error) {
@@ -104,6 +238,224 @@ router.put('/profile', authenticateToken, [
   }
 });
 
+// Follow a user
+router.post('/:userId/follow', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot follow yourself' });
+    }
+
+    const user = await User.findById(req.params.userId).select('isActive isBanned suspendedUntil');
+    if (!user || !user.isAccountActive()) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const blocked = await findBlockedBetween(req.user._id, [user._id]);
+    if (blocked.size > 0) {
+      return res.status(403).json({ message: 'You cannot follow this user' });
+    }
+
+    await follow(req.user._id, 'user', user._id);
+    const { followerCount } = await countFollows(user._id);
+
+    res.json({ message: 'Following user', isFollowing: true, followerCount });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unfollow a user
+router.delete('/:userId/follow', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await unfollow(req.user._id, 'user', req.params.userId))) {
+      return res.status(404).json({ message: 'You are not following this user' });
+    }
+
+    const { followerCount } = await countFollows(req.params.userId);
+
+    res.json({ message: 'Unfollowed user', isFollowing: false, followerCount });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load the user named in the URL for block and mute requests, which cannot
+// target yourself
+const loadOtherUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot block or mute yourself' });
+    }
+
+    const user = await User.findById(req.params.userId).select('username');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error('Load user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Block a user: their threads and replies are hidden from you, and they can no
+// longer message or mention you. Follows between you are removed.
+router.post('/:userId/block', authenticateToken, loadOtherUser, async (req, res) => {
+  try {
+    await block(req.user._id, req.targetUser._id);
+
+    res.json({ message: 'User blocked', isBlocked: true });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unblock a user
+router.delete('/:userId/block', authenticateToken, loadOtherUser, async (req, res) => {
+  try {
+    if (!(await unblock(req.user._id, req.targetUser._id))) {
+      return res.status(404).json({ message: 'You have not blocked this user' });
+    }
+
+    res.json({ message: 'User unblocked', isBlocked: false });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mute a user: their threads and replies are collapsed for you
+router.post('/:userId/mute', authenticateToken, loadOtherUser, async (req, res) => {
+  try {
+    await mute(req.user._id, req.targetUser._id);
+
+    res.json({ message: 'User muted', isMuted: true });
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unmute a user
+router.delete('/:userId/mute', authenticateToken, loadOtherUser, async (req, res) => {
+  try {
+    if (!(await unmute(req.user._id, req.targetUser._id))) {
+      return res.status(404).json({ message: 'You have not muted this user' });
+    }
+
+    res.json({ message: 'User unmuted', isMuted: false });
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const FOLLOW_USER_FIELDS = 'username avatar reputation';
+
+// Get a user's followers, most recent first
+router.get('/:userId/followers', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { targetType: 'user', target: req.params.userId };
+
+    const follows = await Follow.find(query)
+      .populate({ path: 'follower', select: FOLLOW_USER_FIELDS, match: User.activeFilter() })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Follow.countDocuments(query);
+
+    res.json({
+      followers: follows
+        .filter(entry => entry.follower)
+        .map(entry => ({ user: entry.follower, followedAt: entry.createdAt })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// What a user follows: users (default), tags or categories
+const FOLLOWING_TYPES = {
+  user: { model: 'User', select: FOLLOW_USER_FIELDS, match: () => User.activeFilter() },
+  tag: { model: 'Tag', select: 'name color' },
+  category: { model: 'Category', select: 'name color', match: { isActive: true } }
+};
+
+router.get('/:userId/following', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { type = 'user' } = req.query;
+    const target = FOLLOWING_TYPES[type];
+    if (!target) {
+      return res.status(400).json({ message: `Invalid type. Use one of: ${Object.keys(FOLLOWING_TYPES).join(', ')}` });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { follower: req.params.userId, targetType: type };
+
+    const follows = await Follow.find(query)
+      .populate({ path: 'target', ...target })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Follow.countDocuments(query);
+
+    res.json({
+      type,
+      following: follows
+        .filter(entry => entry.target)
+        .map(entry => ({ [type]: entry.target, followedAt: entry.createdAt })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get user's threads
 router.get('/:userId/threads', async (req, res) => {
   try {
@@ -111,7 +463,9 @@ router.get('/:userId/threads', async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const threads = await Thread.find({ author: req.params.userId })
+    const query = { author: req.params.userId, isDeleted: { $ne: true } };
+
+    const threads = await Thread.find(query)
       .populate('author', 'username avatar')
       .populate('category', 'name color')
       .populate('tags', 'name color')
@@ -119,13 +473,14 @@ router.get('/:userId/threads', async (req, res) => {
       .skip(skip)
       .limit(limit);
 
-    const total = await Thread.countDocuments({ author: req.params.userId });
+    const total = await Thread.countDocuments(query);
 
     res.json({
       threads: threads.map(thread => ({
         id: thread._id,
         title: thread.title,
-        content: thread.content.substring(0, 200) + '...',
+        content: excerpt(thread.content, 200),
+        contentHtml: renderMarkdown(thread.content),
         author: thread.author,
         category: thread.category,
         tags: thread.tags,
@@ -153,7 +508,7 @@ router.get('/', async (req, res) => {
     const { q, page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
-    let query = { isActive: true };
+    let query = User.activeFilter();
     if (q) {
       query.username = { $regex: q, $options: 'i' };
     }
@@ -1,7 +1,12 @@
 const express = require('express');
 const Thread = require('../models/Thread');
-const User = require('../models/User');
+const Reply = require('../models/Reply');
 const { authenticateToken } = require('../middleware/auth');
+const { hasPrivilege, privilegeMessage } = require('../utils/privileges');
+const { recordVote } = require('../utils/reputation');
+const { evaluateBadges } = require('../utils/badges');
+const { notifyVote } = require('../utils/notifications');
+const { publish, threadChannel } = require('../utils/eventBus');
 
 const router = express.Router();
 
@@ -14,60 +19,51 @@ router.post('/threads/:threadId', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Invalid vote type' });
     }
 
-    const thread = await Thread.findById(req.params.threadId);
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
     if (!thread) {
       return res.status(404).json({ message: 'Thread not found' });
     }
 
-    // Check if user already voted
-    const existingVoteIndex = thread.votes.findIndex(
-      vote => vote.user.toString() === req.user._id.toString()
-    );
+    const previousVote = thread.getUserVote(req.user._id);
 
-    let voteChange = 0;
-    
-    if (existingVoteIndex !== -1) {
-      const existingVote = thread.votes[existingVoteIndex];
-      
-      if (existingVote.type === type) {
-        // Remove vote if same type
-        thread.votes.splice(existingVoteIndex, 1);
-        voteChange = type === 'upvote' ? -1 : 1;
-      } else {
-        // Change vote type
-        existingVote.type = type;
-        voteChange = type === 'upvote' ? 2 : -2;
-      }
-    } else {
-      // Add new vote
-      thread.votes.push({
-        user: req.user._id,
-        type
-      });
-      voteChange = type === 'upvote' ? 1 : -1;
+    // Taking back an existing downvote needs no privilege
+    if (type === 'downvote' && previousVote !== 'downvote' && !hasPrivilege(req.user, 'downvote')) {
+      return res.status(403).json({ message: privilegeMessage('downvote') });
     }
 
+    const voteChange = thread.applyVote(req.user._id, type);
+
     await thread.save();
 
-    // Update author reputation
-    const author = await User.findById(thread.author);
-    if (author) {
-      author.reputation = Math.max(0, author.reputation + voteChange);
-      await author.save();
-    }
+    await recordVote({
+      post: thread,
+      postType: 'thread',
+      voter: req.user._id,
+      previous: previousVote,
+      current: thread.getUserVote(req.user._id),
+      amount: voteChange
+    });
 
-    // Calculate new vote score
-    const upvotes = thread.votes.filter(v => v.type === 'upvote').length;
-    const downvotes = thread.votes.filter(v => v.type === 'downvote').length;
-    const voteScore = upvotes - downvotes;
+    if (voteChange > 0 && thread.getUserVote(req.user._id) === 'upvote') {
+      await notifyVote({ thread, actor: req.user._id });
+      await evaluateBadges(thread.author, 'thread.upvoted');
+    }
 
-    // Get user's current vote
-    const userVote = thread.votes.find(v => v.user.toString() === req.user._id.toString());
+    publish(threadChannel(thread._id), 'vote:updated', {
+      threadId: thread._id,
+      target: 'thread',
+      id: thread._id,
+      voteScore: thread.voteScore,
+      upvoteCount: thread.upvoteCount,
+      downvoteCount: thread.downvoteCount
+    });
 
     res.json({
       message: 'Vote recorded successfully',
-      voteScore,
-      userVote: userVote ? userVote.type : null
+      voteScore: thread.voteScore,
+      upvoteCount: thread.upvoteCount,
+      downvoteCount: thread.downvoteCount,
+      userVote: thread.getUserVote(req.user._id)
     });
   } catch (error) {
     console.error('Thread vote error:', error);
@@ -84,80 +80,54 @@ router.post('/threads/:threadId/replies/:replyId', authenticateToken, async (req
       return res.status(400).json({ message: 'Invalid vote type' });
     }
 
-    const thread = await Thread.findById(req.params.threadId);
-    if (!thread) {
-      return res.status(404).json({ message: 'Thread not found' });
+    // Replies in a trashed thread are as gone as the thread
+    const reply = await Reply.findOne({
+      _id: req.params.replyId,
+      thread: req.params.threadId,
+      threadDeleted: { $ne: true }
+    }).notDeleted();
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
     }
 
-    // Find and update reply vote
-    const findAndVoteReply = (replies) => {
-      for (let reply of replies) {
-        if (reply._id.toString() === req.params.replyId) {
-          // Check if user already voted on this reply
-          const existingVoteIndex = reply.votes.findIndex(
-            vote => vote.user.toString() === req.user._id.toString()
-          );
-
-          let voteChange = 0;
-          
-          if (existingVoteIndex !== -1) {
-            const existingVote = reply.votes[existingVoteIndex];
-            
-            if (existingVote.type === type) {
-              // Remove vote if same type
-              reply.votes.splice(existingVoteIndex, 1);
-              voteChange = type === 'upvote' ? -1 : 1;
-            } else {
-              // Change vote type
-              existingVote.type = type;
-              voteChange = type === 'upvote' ? 2 : -2;
-            }
-          } else {
-            // Add new vote
-            reply.votes.push({
-              user: req.user._id,
-              type
-            });
-            voteChange = type === 'upvote' ? 1 : -1;
-          }
-
-          return { reply, voteChange };
-        }
-        
-        if (reply.replies && reply.replies.length > 0) {
-          const result = findAndVoteReply(reply.replies);
-          if (result) return result;
-        }
-      }
-      return null;
-    };
+    const previousVote = reply.getUserVote(req.user._id);
 
-    const result = findAndVoteReply(thread.replies);
-    if (!result) {
-      return res.status(404).json({ message: 'Reply not found' });
+    if (type === 'downvote' && previousVote !== 'downvote' && !hasPrivilege(req.user, 'downvote')) {
+      return res.status(403).json({ message: privilegeMessage('downvote') });
     }
 
-    await thread.save();
+    const voteChange = reply.applyVote(req.user._id, type);
+    await reply.save();
 
-    // Update reply author reputation
-    const author = await User.findById(result.reply.author);
-    if (author) {
-      author.reputation = Math.max(0, author.reputation + result.voteChange);
-      await author.save();
-    }
+    await recordVote({
+      post: reply,
+      postType: 'reply',
+      voter: req.user._id,
+      previous: previousVote,
+      current: reply.getUserVote(req.user._id),
+      amount: voteChange
+    });
 
-    // Calculate new vote score
-    const upvotes = result.reply.votes.filter(v => v.type === 'upvote').length;
-    const downvotes = result.reply.votes.filter(v => v.type === 'downvote').length;
-    const voteScore = upvotes - downvotes;
+    if (voteChange > 0 && reply.getUserVote(req.user._id) === 'upvote') {
+      await notifyVote({ thread: { _id: reply.thread }, reply, actor: req.user._id });
+      await evaluateBadges(reply.author, 'reply.upvoted');
+    }
 
-    // Get user's current vote
-    const userVote = result.reply.votes.find(v => v.user.toString() === req.user._id.toString());
+    publish(threadChannel(reply.thread), 'vote:updated', {
+      threadId: reply.thread,
+      target: 'reply',
+      id: reply._id,
+      voteScore: reply.voteScore,
+      upvoteCount: reply.upvoteCount,
+      downvoteCount: reply.downvoteCount
+    });
 
     res.json({
       message: 'Vote recorded successfully',
-      voteScore,
-      userVote: userVote ? userVote.type : null
+      voteScore: reply.voteScore,
+      upvoteCount: reply.upvoteCount,
+      downvoteCount: reply.downvoteCount,
+      userVote: reply.getUserVote(req.user._id)
     });
   } catch (error) {
     console.error('Reply vote error:', error);
@@ -168,34 +138,19 @@ router.post('/threads/:threadId/replies/:replyId', authenticateToken, async (req
 // Get vote statistics for a thread
 router.get('/threads/:threadId/stats', async (req, res) => {
   try {
-    const thread = await Thread.findById(req.params.threadId);
+    const thread = await Thread.findById(req.params.threadId).notDeleted();
     if (!thread) {
       return res.status(404).json({ message: 'Thread not found' });
     }
 
-    const upvotes = thread.votes.filter(v => v.type === 'upvote').length;
-    const downvotes = thread.votes.filter(v => v.type === 'downvote').length;
-
-    // Calculate reply vote stats
-    const calculateReplyStats = (replies) => {
-      let totalReplyUpvotes = 0;
-      let totalReplyDownvotes = 0;
-      
-      replies.forEach(reply => {
-        totalReplyUpvotes += reply.votes.filter(v => v.type === 'upvote').length;
-        totalReplyDownvotes += reply.votes.filter(v => v.type === 'downvote').length;
-        
-        if (reply.replies && reply.replies.length > 0) {
-          const nestedStats = calculateReplyStats(reply.replies);
-          totalReplyUpvotes += nestedStats.upvotes;
-          totalReplyDownvotes += nestedStats.downvotes;
-        }
-      });
-      
-      return { upvotes: totalReplyUpvotes, downvotes: totalReplyDownvotes };
-    };
-
-    const replyStats = calculateReplyStats(thread.replies);
+    const upvotes = thread.upvoteCount;
+    const downvotes = thread.downvoteCount;
+
+    // Sum vote counts across every reply in the thread
+    const [replyStats = { upvotes: 0, downvotes: 0 }] = await Reply.aggregate([
+      { $match: { thread: thread._id, isDeleted: { $ne: true } } },
+      { $group: { _id: null, upvotes: { $sum: '$upvoteCount' }, downvotes: { $sum: '$downvoteCount' } } }
+    ]);
 
     res.json({
       thread: {
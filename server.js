@@ -12,6 +12,16 @@ const replyRoutes = require('./routes/replies');
 const voteRoutes = require('./routes/votes');
 const categoryRoutes = require('./routes/categories');
 const tagRoutes = require('./routes/tags');
+const searchRoutes = require('./routes/search');
+const notificationRoutes = require('./routes/notifications');
+const subscriptionRoutes = require('./routes/subscriptions');
+const moderationRoutes = require('./routes/moderation');
+const adminRoutes = require('./routes/admin');
+const attachmentRoutes = require('./routes/attachments');
+const badgeRoutes = require('./routes/badges');
+const conversationRoutes = require('./routes/conversations');
+const feedRoutes = require('./routes/feed');
+const { ensureBadges } = require('./utils/badges');
 
 const app = express();
 
@@ -41,6 +51,9 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db'
 .then(() => {
   console.log('Connected to MongoDB');
   console.log('Database:', mongoose.connection.name);
+
+  // Keep the badge catalog in step with the rules in utils/badges.js
+  ensureBadges().catch(err => console.error('Badge setup error:', err));
 })
 .catch(err => {
   console.error('MongoDB connection error:', err);
@@ -55,6 +68,15 @@ app.use('/api/replies', replyRoutes);
 app.use('/api/votes', voteRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/tags', tagRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/badges', badgeRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/feed', feedRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Reply = require('../models/Reply');
+const { recordReputationEvent } = require('../utils/reputation');
+const { ACCEPTED_ANSWER_REPUTATION, acceptAnswer, unacceptAnswer } = require('../utils/answers');
+
+jest.mock('../utils/reputation', () => ({
+  recordReputationEvent: jest.fn().mockResolvedValue(null)
+}));
+
+describe('accepted answers', () => {
+  const asker = new mongoose.Types.ObjectId();
+  const answerer = new mongoose.Types.ObjectId();
+  const other = new mongoose.Types.ObjectId();
+
+  const buildThread = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    author: asker,
+    acceptedAnswer: null,
+    isSolved: false,
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+  });
+
+  const buildReply = (author) => ({ _id: new mongoose.Types.ObjectId(), author });
+
+  let replies;
+
+  beforeEach(() => {
+    replies = [];
+    jest.spyOn(Reply, 'findById').mockImplementation((id) => ({
+      select: () => Promise.resolve(replies.find(reply => reply._id.equals(id)) || null)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    recordReputationEvent.mockClear();
+  });
+
+  test('accepting marks the thread solved and rewards the answerer', async () => {
+    const thread = buildThread();
+    const reply = buildReply(answerer);
+
+    await acceptAnswer(thread, reply, asker);
+
+    expect(thread).toMatchObject({ acceptedAnswer: reply._id, acceptedBy: asker, isSolved: true });
+    expect(thread.acceptedAt).toBeInstanceOf(Date);
+    expect(thread.save).toHaveBeenCalled();
+    expect(recordReputationEvent).toHaveBeenCalledTimes(1);
+    expect(recordReputationEvent).toHaveBeenCalledWith(expect.objectContaining({
+      user: answerer,
+      source: 'accept',
+      post: reply._id,
+      amount: ACCEPTED_ANSWER_REPUTATION,
+      reason: 'accept'
+    }));
+  });
+
+  test('accepting another answer takes the reputation back from the previous one', async () => {
+    const previous = buildReply(other);
+    replies.push(previous);
+    const thread = buildThread({ acceptedAnswer: previous._id, isSolved: true });
+    const reply = buildReply(answerer);
+
+    await acceptAnswer(thread, reply, asker);
+
+    expect(thread.acceptedAnswer).toBe(reply._id);
+    expect(recordReputationEvent.mock.calls.map(([event]) => [event.user, event.amount, event.reason])).toEqual([
+      [other, -ACCEPTED_ANSWER_REPUTATION, 'accept.removed'],
+      [answerer, ACCEPTED_ANSWER_REPUTATION, 'accept']
+    ]);
+  });
+
+  test('answering your own question earns nothing', async () => {
+    const thread = buildThread();
+
+    await acceptAnswer(thread, buildReply(asker), asker);
+
+    expect(thread.isSolved).toBe(true);
+    expect(recordReputationEvent).not.toHaveBeenCalled();
+  });
+
+  test('unaccepting clears the answer and reverses its reputation', async () => {
+    const reply = buildReply(answerer);
+    replies.push(reply);
+    const thread = buildThread({ acceptedAnswer: reply._id, acceptedBy: asker, acceptedAt: new Date(), isSolved: true });
+
+    await unacceptAnswer(thread, asker);
+
+    expect(thread).toMatchObject({ acceptedAnswer: null, acceptedBy: undefined, acceptedAt: undefined, isSolved: false });
+    expect(thread.save).toHaveBeenCalled();
+    expect(recordReputationEvent).toHaveBeenCalledWith(expect.objectContaining({
+      user: answerer,
+      amount: -ACCEPTED_ANSWER_REPUTATION,
+      reason: 'accept.removed'
+    }));
+  });
+
+  test('unaccepting a deleted answer or a thread without one changes no reputation', async () => {
+    const gone = buildThread({ acceptedAnswer: new mongoose.Types.ObjectId(), isSolved: true });
+    await unacceptAnswer(gone, asker);
+
+    const unsolved = buildThread();
+    await unacceptAnswer(unsolved, asker);
+
+    expect(gone).toMatchObject({ acceptedAnswer: null, isSolved: false });
+    expect(unsolved.save).toHaveBeenCalled();
+    expect(recordReputationEvent).not.toHaveBeenCalled();
+  });
+});
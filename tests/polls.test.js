@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const PollBallot = require('../models/PollBallot');
+const { PollError, castBallot } = require('../utils/polls');
+
+describe('castBallot', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const optionIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+  const buildThread = (poll = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    poll: {
+      question: 'Tabs or spaces?',
+      options: optionIds.map((_id, index) => ({ _id, text: `Option ${index + 1}`, votes: 0 })),
+      allowMultiple: false,
+      closesAt: null,
+      ...poll
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(PollBallot, 'create').mockImplementation(async (data) => data);
+    jest.spyOn(Thread, 'findOneAndUpdate').mockResolvedValue({ poll: { totalBallots: 1 } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records the ballot and counts each chosen option once', async () => {
+    const thread = buildThread({ allowMultiple: true });
+    const chosen = [optionIds[0].toString(), optionIds[2].toString(), optionIds[0].toString()];
+
+    const result = await castBallot(thread, user, chosen);
+
+    const choices = [optionIds[0].toString(), optionIds[2].toString()];
+    expect(PollBallot.create).toHaveBeenCalledWith({ thread: thread._id, user: user._id, choices });
+    expect(Thread.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: thread._id },
+      { $inc: { 'poll.totalBallots': 1, 'poll.options.$[option].votes': 1 } },
+      expect.objectContaining({ arrayFilters: [{ 'option._id': { $in: choices } }] })
+    );
+    expect(result.poll).toEqual({ totalBallots: 1 });
+    expect(result.ballot.choices).toEqual(choices);
+  });
+
+  test.each([
+    ['a closed poll', { closesAt: new Date(Date.now() - 1000) }, () => [optionIds[0]], 'Poll is closed'],
+    ['two choices in a single choice poll', {}, () => optionIds.slice(0, 2), 'Choose exactly one option'],
+    ['no choice in a single choice poll', {}, () => [], 'Choose exactly one option'],
+    ['an unknown option', { allowMultiple: true }, () => [new mongoose.Types.ObjectId()], 'Unknown poll option']
+  ])('rejects %s without recording it', async (label, poll, choose, message) => {
+    await expect(castBallot(buildThread(poll), user, choose())).rejects.toThrow(new PollError(message));
+
+    expect(PollBallot.create).not.toHaveBeenCalled();
+    expect(Thread.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('rejects a second ballot from the same user', async () => {
+    PollBallot.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(castBallot(buildThread(), user, [optionIds[1]]))
+      .rejects.toThrow(new PollError('You have already voted in this poll'));
+    expect(Thread.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('passes on other storage errors', async () => {
+    PollBallot.create.mockRejectedValue(new Error('connection lost'));
+
+    await expect(castBallot(buildThread(), user, [optionIds[1]])).rejects.toThrow('connection lost');
+  });
+});
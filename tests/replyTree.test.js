@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { processReplies } = require('../utils/replyTree');
+
+describe('processReplies', () => {
+  const viewer = { _id: new mongoose.Types.ObjectId() };
+  const blockedUser = new mongoose.Types.ObjectId();
+  const mutedUser = new mongoose.Types.ObjectId();
+  const author = new mongoose.Types.ObjectId();
+
+  const filters = {
+    blocked: new Set([blockedUser.toString()]),
+    muted: new Set([mutedUser.toString()])
+  };
+
+  const buildReply = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    author: { _id: author, username: 'alice' },
+    content: 'Hello',
+    mentions: [],
+    votes: [],
+    voteScore: 0,
+    replyCount: 0,
+    depth: 0,
+    parentReply: null,
+    children: [],
+    createdAt: new Date(),
+    ...fields
+  });
+
+  test('leaves out replies by blocked users that have no nested replies', () => {
+    const replies = [buildReply(), buildReply({ author: { _id: blockedUser, username: 'troll' } })];
+
+    const processed = processReplies(replies, viewer, { filters });
+
+    expect(processed).toHaveLength(1);
+    expect(processed[0].id).toBe(replies[0]._id);
+  });
+
+  test('replaces blocked replies with nested replies by a placeholder', () => {
+    const child = buildReply({ depth: 1 });
+    const reply = buildReply({ author: blockedUser, content: 'Rude', replyCount: 1, children: [child] });
+
+    const [processed] = processReplies([reply], viewer, { filters });
+
+    expect(processed).toMatchObject({ content: '[hidden]', author: null, isHidden: true, isDeleted: false });
+    expect(processed.replies.map(entry => entry.id)).toEqual([child._id]);
+  });
+
+  test('filters nested replies too', () => {
+    const reply = buildReply({ replyCount: 2, children: [buildReply({ author: blockedUser }), buildReply()] });
+
+    const [processed] = processReplies([reply], viewer, { filters });
+
+    expect(processed.replies).toHaveLength(1);
+  });
+
+  test('shows deleted replies with nested replies as deleted, even by blocked users', () => {
+    const reply = buildReply({ author: blockedUser, isDeleted: true, replyCount: 1, children: [buildReply()] });
+
+    const [processed] = processReplies([reply], viewer, { filters });
+
+    expect(processed).toMatchObject({ content: '[deleted]', isDeleted: true, isHidden: false });
+  });
+
+  test('collapses replies by muted users', () => {
+    const replies = [buildReply({ author: { _id: mutedUser, username: 'noisy' } }), buildReply()];
+
+    const processed = processReplies(replies, viewer, { filters });
+
+    expect(processed.map(entry => entry.isCollapsed)).toEqual([true, false]);
+  });
+
+  test('shows everything without filters and marks the viewer\'s vote and the accepted answer', () => {
+    const reply = buildReply({ author: blockedUser, votes: [{ user: viewer._id, type: 'upvote' }] });
+
+    const [processed] = processReplies([reply], viewer, { acceptedAnswer: reply._id });
+
+    expect(processed).toMatchObject({ content: 'Hello', userVote: 'upvote', isAccepted: true, isHidden: false });
+  });
+});
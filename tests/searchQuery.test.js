@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const Category = require('../models/Category');
+const { SearchQueryError, parseSearchQuery, buildSearchFilter } = require('../utils/searchQuery');
+
+// Awaitable like a mongoose query, with the chained select() the module uses
+const query = (value) => ({ select: () => Promise.resolve(value) });
+
+describe('parseSearchQuery', () => {
+  test('splits free text, phrases and operators', () => {
+    const parsed = parseSearchQuery('react hooks "exact phrase" tag:react -author:bob score:>5');
+
+    expect(parsed.text).toBe('react hooks "exact phrase"');
+    expect(parsed.operators).toEqual([
+      { name: 'tag', value: 'react', negated: false, token: 'tag:react' },
+      { name: 'author', value: 'bob', negated: true, token: '-author:bob' },
+      { name: 'score', value: '>5', negated: false, token: 'score:>5' }
+    ]);
+  });
+
+  test('accepts quoted operator values and keeps negated phrases', () => {
+    const parsed = parseSearchQuery('category:"Web Development" -"not this"');
+
+    expect(parsed.text).toBe('-"not this"');
+    expect(parsed.operators[0]).toMatchObject({ name: 'category', value: 'Web Development' });
+  });
+
+  test.each([
+    ['colour:red', 'Unknown search operator in "colour:red"'],
+    ['tag:""', 'Missing value in "tag:"""'],
+    ['-score:5', '"score:" cannot be negated in "-score:5"']
+  ])('rejects %s', (input, message) => {
+    expect(() => parseSearchQuery(input)).toThrow(new SearchQueryError(message));
+  });
+});
+
+describe('buildSearchFilter', () => {
+  const bob = { _id: new mongoose.Types.ObjectId() };
+  const react = { _id: new mongoose.Types.ObjectId() };
+  const vue = { _id: new mongoose.Types.ObjectId() };
+  const general = { _id: new mongoose.Types.ObjectId() };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockImplementation((filter) => {
+      return query(filter.username.$regex === '^bob$' ? bob : null);
+    });
+    jest.spyOn(Tag, 'findOne').mockImplementation(({ name }) => {
+      return query({ react, vue }[name] || null);
+    });
+    jest.spyOn(Category, 'findOne').mockImplementation(() => query(general));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const build = (input) => buildSearchFilter(parseSearchQuery(input));
+
+  test('looks up authors, tags and categories', async () => {
+    const filter = await build('author:bob tag:React -tag:vue -category:general');
+
+    expect(filter).toEqual({
+      author: { $in: [bob._id] },
+      tags: { $all: [react._id], $nin: [vue._id] },
+      category: { $nin: [general._id] }
+    });
+  });
+
+  test('turns dates into a createdAt range', async () => {
+    const filter = await build('after:2024-01-01 before:2024-02-01');
+
+    expect(filter.createdAt).toEqual({ $gt: new Date('2024-01-01'), $lt: new Date('2024-02-01') });
+  });
+
+  test.each([
+    ['score:>5', { $gt: 5 }],
+    ['score:>=5', { $gte: 5 }],
+    ['score:<0', { $lt: 0 }],
+    ['score:<=-2', { $lte: -2 }],
+    ['score:5', { $eq: 5 }],
+    ['score:=5', { $eq: 5 }],
+    ['score:>1 score:<10', { $gt: 1, $lt: 10 }]
+  ])('turns %s into a voteScore condition', async (input, condition) => {
+    expect((await build(input)).voteScore).toEqual(condition);
+  });
+
+  test('maps is: values to thread flags', async () => {
+    expect(await build('is:solved is:locked')).toEqual({ isQuestion: true, isSolved: true, isLocked: true });
+  });
+
+  test('treats expired pins as unpinned', async () => {
+    const activePin = {
+      isPinned: true,
+      $or: [{ pinExpiresAt: null }, { pinExpiresAt: { $gt: expect.any(Date) } }]
+    };
+
+    expect(await build('is:pinned')).toEqual({ $and: [activePin] });
+    expect(await build('is:unpinned')).toEqual({ $nor: [activePin] });
+  });
+
+  test.each([
+    ['score:5 score:6', 'Conflicting search operators in "score:6"'],
+    ['before:2024-01-01 before:2024-02-01', 'Conflicting search operators in "before:2024-02-01"'],
+    ['is:locked is:unlocked', 'Conflicting search operators in "is:unlocked"'],
+    ['is:solved is:unsolved', 'Conflicting search operators in "is:unsolved"'],
+    ['is:pinned is:unpinned', 'Conflicting search operators in "is:unpinned"'],
+    ['score:lots', 'Invalid score in "score:lots". Use forms like score:>5 or score:<=0'],
+    ['before:yesterday', 'Invalid date in "before:yesterday". Use YYYY-MM-DD'],
+    ['author:nobody', 'Unknown user in "author:nobody"'],
+    ['tag:angular', 'Unknown tag in "tag:angular"']
+  ])('rejects %s', async (input, message) => {
+    await expect(build(input)).rejects.toThrow(new SearchQueryError(message));
+  });
+
+  test('repeating an operator with the same value is not a conflict', async () => {
+    expect((await build('score:5 score:=5')).voteScore).toEqual({ $eq: 5 });
+    expect(await build('is:locked is:locked')).toEqual({ isLocked: true });
+  });
+});
@@ -0,0 +1,166 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens
+} = require('../utils/tokens');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Awaitable like a mongoose query, with the chained select() the module uses
+const query = (value) => ({
+  select: () => Promise.resolve(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value));
+
+describe('refresh tokens', () => {
+  let stored;
+  let user;
+
+  beforeEach(() => {
+    stored = [];
+    user = new User({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (data) => {
+      const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), usedAt: null, revokedAt: null, ...data };
+      stored.push(doc);
+      return doc;
+    });
+    jest.spyOn(RefreshToken, 'findOne').mockImplementation((filter) => {
+      return query(stored.find(doc => matches(doc, filter)) || null);
+    });
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const doc = stored.find(entry => matches(entry, filter));
+      return doc ? Object.assign(doc, update.$set) : null;
+    });
+    jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+      const docs = stored.filter(doc => matches(doc, filter));
+      docs.forEach(doc => Object.assign(doc, update.$set));
+      return { modifiedCount: docs.length };
+    });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      user.set(update.$set);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const expectTokenError = async (promise, message, status = 401) => {
+    const error = await promise.catch(caught => caught);
+    expect(error).toBeInstanceOf(TokenError);
+    expect(error.message).toBe(message);
+    expect(error.status).toBe(status);
+  };
+
+  test('issues an access token and stores only a hash of the refresh token', async () => {
+    const { token, refreshToken } = await issueTokens(user._id);
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    expect(decoded.userId).toBe(user._id.toString());
+    expect(Math.floor(decoded.issuedAt / 1000)).toBe(decoded.iat);
+    expect(stored).toHaveLength(1);
+    expect(stored[0].tokenHash).not.toBe(refreshToken);
+  });
+
+  test('rotation marks the token used and issues a new one in the same family', async () => {
+    const { refreshToken } = await issueTokens(user._id);
+
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(jwt.verify(rotated.token, process.env.JWT_SECRET).userId).toBe(user._id.toString());
+    expect(stored).toHaveLength(2);
+    expect(stored[0].usedAt).toBeInstanceOf(Date);
+    expect(stored[1].family).toEqual(stored[0].family);
+    expect(stored[1].usedAt).toBeNull();
+  });
+
+  test('reusing a rotated token revokes the whole family', async () => {
+    const { refreshToken } = await issueTokens(user._id);
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    await expectTokenError(rotateRefreshToken(refreshToken), 'Refresh token has already been used');
+
+    expect(stored.every(doc => doc.revokedAt)).toBe(true);
+    await expectTokenError(rotateRefreshToken(rotated.refreshToken), 'Refresh token has already been used');
+  });
+
+  test('a concurrent refresh that loses the claim revokes the family', async () => {
+    const { refreshToken } = await issueTokens(user._id);
+    RefreshToken.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    await expectTokenError(rotateRefreshToken(refreshToken), 'Refresh token has already been used');
+
+    expect(stored).toHaveLength(1);
+    expect(stored[0].revokedAt).toBeInstanceOf(Date);
+  });
+
+  test('rejects unknown and expired tokens', async () => {
+    await expectTokenError(rotateRefreshToken('not-a-token'), 'Invalid refresh token');
+
+    const { refreshToken } = await issueTokens(user._id);
+    stored[0].expiresAt = new Date(Date.now() - 1000);
+
+    await expectTokenError(rotateRefreshToken(refreshToken), 'Refresh token has expired');
+    expect(stored[0].usedAt).toBeNull();
+  });
+
+  test('rejects tokens issued before a password change and revokes their family', async () => {
+    const { refreshToken } = await issueTokens(user._id);
+    stored[0].createdAt = new Date(Date.now() - 60 * 1000);
+    user.passwordChangedAt = new Date();
+
+    await expectTokenError(rotateRefreshToken(refreshToken), 'Invalid refresh token');
+    expect(stored[0].revokedAt).toBeInstanceOf(Date);
+  });
+
+  test('a suspended user gets a 403 and keeps the token for later', async () => {
+    const { refreshToken } = await issueTokens(user._id);
+    user.isActive = false;
+    user.suspendedUntil = new Date(Date.now() + 60 * 60 * 1000);
+
+    const error = await rotateRefreshToken(refreshToken).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(TokenError);
+    expect(error.status).toBe(403);
+    expect(error.message).toMatch(/suspended until/);
+    expect(stored[0].usedAt).toBeNull();
+    expect(stored[0].revokedAt).toBeNull();
+  });
+
+  test('logout revokes the session and ignores unknown tokens', async () => {
+    const { refreshToken } = await issueTokens(user._id);
+    const other = await issueTokens(user._id);
+
+    await revokeRefreshToken('not-a-token');
+    await revokeRefreshToken(refreshToken);
+
+    await expectTokenError(rotateRefreshToken(refreshToken), 'Refresh token has already been used');
+    await expect(rotateRefreshToken(other.refreshToken)).resolves.toHaveProperty('refreshToken');
+  });
+
+  test('logging out everywhere revokes every session and older access tokens', async () => {
+    const first = await issueTokens(user._id);
+    const second = await issueTokens(user._id);
+
+    await revokeAllTokens(user._id);
+
+    expect(user.tokensValidAfter).toBeInstanceOf(Date);
+    // Access tokens from the same second are revoked too
+    const { issuedAt } = jwt.decode(first.token);
+    expect(user.isTokenRevoked(new Date(issuedAt))).toBe(true);
+    await expectTokenError(rotateRefreshToken(first.refreshToken), 'Refresh token has already been used');
+    await expectTokenError(rotateRefreshToken(second.refreshToken), 'Refresh token has already been used');
+  });
+});
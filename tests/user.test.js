@@ -0,0 +1,39 @@
+const User = require('../models/User');
+
+describe('User#isTokenRevoked', () => {
+  const build = (fields = {}) => new User({
+    username: 'alice',
+    email: 'alice@example.com',
+    password: 'secret123',
+    ...fields
+  });
+
+  test('accepts every token when nothing was revoked', () => {
+    expect(build().isTokenRevoked(new Date('2024-01-01T00:00:00Z'))).toBe(false);
+  });
+
+  test('rejects tokens issued before a password change', () => {
+    const user = build({ passwordChangedAt: new Date('2024-01-01T12:00:00Z') });
+
+    expect(user.isTokenRevoked(new Date('2024-01-01T11:59:59Z'))).toBe(true);
+    expect(user.isTokenRevoked(new Date('2024-01-01T12:00:01Z'))).toBe(false);
+  });
+
+  test('uses the later of a password change and a log out everywhere', () => {
+    const user = build({
+      passwordChangedAt: new Date('2024-01-01T12:00:00Z'),
+      tokensValidAfter: new Date('2024-01-02T12:00:00Z')
+    });
+
+    expect(user.isTokenRevoked(new Date('2024-01-02T08:00:00Z'))).toBe(true);
+    expect(user.isTokenRevoked(new Date('2024-01-02T13:00:00Z'))).toBe(false);
+  });
+
+  test('compares to the millisecond', () => {
+    const user = build({ tokensValidAfter: new Date('2024-01-01T12:00:00.500Z') });
+
+    expect(user.isTokenRevoked(new Date('2024-01-01T12:00:00.100Z'))).toBe(true);
+    expect(user.isTokenRevoked(new Date('2024-01-01T12:00:00.500Z'))).toBe(true);
+    expect(user.isTokenRevoked(new Date('2024-01-01T12:00:00.501Z'))).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+const Reply = require('../models/Reply');
+const { recordReputationEvent } = require('./reputation');
+
+// Reputation earned by the author of an accepted answer
+const ACCEPTED_ANSWER_REPUTATION = 15;
+
+// Give (or take back) the answerer's reputation. Answering your own question
+// earns nothing.
+const rewardAnswer = (thread, reply, { amount, reason, actor }) => {
+  if (reply.author.toString() === thread.author.toString()) {
+    return null;
+  }
+
+  return recordReputationEvent({
+    user: reply.author,
+    source: 'accept',
+    actor,
+    postType: 'reply',
+    post: reply._id,
+    amount,
+    reason
+  });
+};
+
+// Clear the accepted answer on a thread document and reverse its reputation.
+// The caller saves the thread.
+const revokeAcceptance = async (thread, actor) => {
+  if (!thread.acceptedAnswer) {
+    return;
+  }
+
+  const previous = await Reply.findById(thread.acceptedAnswer).select('author');
+  if (previous) {
+    await rewardAnswer(thread, previous, { amount: -ACCEPTED_ANSWER_REPUTATION, reason: 'accept.removed', actor });
+  }
+
+  thread.acceptedAnswer = null;
+  thread.acceptedBy = undefined;
+  thread.acceptedAt = undefined;
+  thread.isSolved = false;
+};
+
+// Mark a top-level reply as the accepted answer, replacing any earlier one
+const acceptAnswer = async (thread, reply, actor) => {
+  await revokeAcceptance(thread, actor);
+
+  thread.acceptedAnswer = reply._id;
+  thread.acceptedBy = actor;
+  thread.acceptedAt = new Date();
+  thread.isSolved = true;
+  await thread.save();
+
+  await rewardAnswer(thread, reply, { amount: ACCEPTED_ANSWER_REPUTATION, reason: 'accept', actor });
+};
+
+const unacceptAnswer = async (thread, actor) => {
+  await revokeAcceptance(thread, actor);
+  await thread.save();
+};
+
+module.exports = {
+  ACCEPTED_ANSWER_REPUTATION,
+  acceptAnswer,
+  unacceptAnswer
+};
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./storage');
+const { sniffMimeType, EXTENSIONS } = require('./mimeSniff');
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// What each role may upload
+const UPLOAD_LIMITS = {
+  user: { maxSize: 5 * MB, types: [...IMAGE_TYPES, 'application/pdf'] },
+  moderator: { maxSize: 20 * MB, types: [...IMAGE_TYPES, 'application/pdf', 'text/plain', 'application/zip'] },
+  admin: { maxSize: 20 * MB, types: [...IMAGE_TYPES, 'application/pdf', 'text/plain', 'application/zip'] }
+};
+
+// Largest upload any role may make; multer rejects anything bigger before it is buffered
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(UPLOAD_LIMITS).map(limit => limit.maxSize));
+
+const MAX_ATTACHMENTS_PER_POST = 10;
+
+// Thumbnails fit inside a square of this many pixels
+const THUMBNAIL_SIZE = 320;
+
+class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+const formatSize = (bytes) => `${Math.round(bytes / MB)} MB`;
+
+// Keep the original name for downloads, minus any path and control characters
+const cleanFilename = (name) => {
+  const base = path.basename(name || 'file').replace(/[\x00-\x1f\x7f"\\/]/g, '').trim();
+  return (base || 'file').substring(0, 255);
+};
+
+const generateKey = (extension) => {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  return `${now.getUTCFullYear()}/${month}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
+
+// Validate an uploaded file against the user's role limits, store it (with a
+// thumbnail for images) and create its unattached Attachment record
+const storeUpload = async (user, file) => {
+  if (!file) {
+    throw new AttachmentError('A file is required in the "file" field');
+  }
+
+  const limits = UPLOAD_LIMITS[user.role] || UPLOAD_LIMITS.user;
+  const mimeType = sniffMimeType(file.buffer);
+
+  if (!mimeType || !limits.types.includes(mimeType)) {
+    throw new AttachmentError(`File type not allowed. Allowed types: ${limits.types.join(', ')}`, 415);
+  }
+
+  if (file.size > limits.maxSize) {
+    throw new AttachmentError(`File is too large. Maximum size is ${formatSize(limits.maxSize)}`, 413);
+  }
+
+  const storage = getStorage();
+  const storageKey = generateKey(EXTENSIONS[mimeType]);
+  const attachment = new Attachment({
+    uploader: user._id,
+    filename: cleanFilename(file.originalname),
+    mimeType,
+    size: file.size,
+    storageKey
+  });
+
+  if (IMAGE_TYPES.includes(mimeType)) {
+    let thumbnail;
+    try {
+      const metadata = await sharp(file.buffer).metadata();
+      attachment.width = metadata.width;
+      attachment.height = metadata.height;
+
+      thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+    } catch (error) {
+      throw new AttachmentError('Image could not be processed');
+    }
+
+    attachment.thumbnailKey = storageKey.replace(/\.\w+$/, '-thumb.webp');
+    await storage.save(attachment.thumbnailKey, thumbnail);
+  }
+
+  await storage.save(storageKey, file.buffer);
+  await attachment.save();
+  return attachment;
+};
+
+// Check that `ids` are the user's own unattached uploads, before the post they
+// go on is saved. Returns the attachment documents.
+const findAttachable = async (ids, userId) => {
+  const unique = [...new Set((ids || []).map(String))];
+  if (unique.length === 0) {
+    return [];
+  }
+
+  if (unique.length > MAX_ATTACHMENTS_PER_POST) {
+    throw new AttachmentError(`A post can have at most ${MAX_ATTACHMENTS_PER_POST} attachments`);
+  }
+
+  const attachments = await Attachment.find({
+    _id: { $in: unique },
+    uploader: userId,
+    thread: null,
+    reply: null
+  });
+
+  if (attachments.length !== unique.length) {
+    throw new AttachmentError('Some attachments were not found or are already attached');
+  }
+
+  return attachments;
+};
+
+// Link checked uploads to a thread or reply. Only uploads that are still
+// unattached are taken, so if a concurrent post claimed one first, the ones
+// taken here are released again and an AttachmentError is thrown.
+const attachToPost = async (attachments, { thread, reply = null }) => {
+  if (attachments.length === 0) {
+    return;
+  }
+
+  const ids = attachments.map(attachment => attachment._id);
+  const attachedAt = new Date();
+
+  const result = await Attachment.updateMany(
+    { _id: { $in: ids }, thread: null, reply: null },
+    { $set: { thread, reply, attachedAt } }
+  );
+
+  if (result.modifiedCount < ids.length) {
+    await Attachment.updateMany(
+      { _id: { $in: ids }, thread, reply, attachedAt },
+      { $set: { thread: null, reply: null, attachedAt: null } }
+    );
+    throw new AttachmentError('Some attachments were not found or are already attached');
+  }
+};
+
+// Give back uploads claimed by attachToPost for a post that could not be saved
+const releaseFromPost = async (attachments, { thread, reply = null }) => {
+  if (attachments.length === 0) {
+    return;
+  }
+
+  await Attachment.updateMany(
+    { _id: { $in: attachments.map(attachment => attachment._id) }, thread, reply },
+    { $set: { thread: null, reply: null, attachedAt: null } }
+  );
+};
+
+const postFilter = ({ thread, reply = null }) => (reply ? { reply } : { thread, reply: null });
+
+// Work out how to make a post's attachments exactly `ids`, checking the new
+// uploads without changing anything yet. Apply the result with applyPostAttachments.
+const preparePostAttachments = async (ids, userId, post) => {
+  const filter = postFilter(post);
+  const current = await Attachment.find(filter).select('_id');
+  const currentIds = current.map(attachment => attachment._id.toString());
+  const wanted = [...new Set(ids.map(String))];
+
+  if (wanted.length > MAX_ATTACHMENTS_PER_POST) {
+    throw new AttachmentError(`A post can have at most ${MAX_ATTACHMENTS_PER_POST} attachments`);
+  }
+
+  const added = await findAttachable(wanted.filter(id => !currentIds.includes(id)), userId);
+  const removed = currentIds.filter(id => !wanted.includes(id));
+
+  return { added, removed };
+};
+
+// Attach the new uploads and detach the rest, which the orphan cleanup then removes
+const applyPostAttachments = async ({ added, removed }, post) => {
+  await attachToPost(added, post);
+  if (removed.length > 0) {
+    await Attachment.updateMany(
+      { _id: { $in: removed } },
+      { $set: { thread: null, reply: null, attachedAt: null } }
+    );
+  }
+};
+
+const formatAttachment = (attachment) => ({
+  id: attachment._id,
+  filename: attachment.filename,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  width: attachment.width,
+  height: attachment.height,
+  url: `/api/attachments/${attachment._id}`,
+  thumbnailUrl: attachment.thumbnailKey ? `/api/attachments/${attachment._id}/thumbnail` : null
+});
+
+// Formatted attachments of a thread (not its replies) or of a reply
+const getPostAttachments = async (post) => {
+  const attachments = await Attachment.find(postFilter(post)).sort({ createdAt: 1 });
+  return attachments.map(formatAttachment);
+};
+
+// Formatted attachments for many replies at once, keyed by reply id
+const getReplyAttachments = async (replyIds) => {
+  const byReply = new Map();
+  if (replyIds.length === 0) {
+    return byReply;
+  }
+
+  const attachments = await Attachment.find({ reply: { $in: replyIds } }).sort({ createdAt: 1 });
+  attachments.forEach(attachment => {
+    const key = attachment.reply.toString();
+    if (!byReply.has(key)) {
+      byReply.set(key, []);
+    }
+    byReply.get(key).push(formatAttachment(attachment));
+  });
+  return byReply;
+};
+
+// Delete attachment records and their stored files
+const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select('storageKey thumbnailKey');
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    await storage.remove(attachment.storageKey);
+    if (attachment.thumbnailKey) {
+      await storage.remove(attachment.thumbnailKey);
+    }
+  }
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  return attachments.length;
+};
+
+// Remove uploads that were never attached (or were detached) within `hours` hours
+const cleanupOrphanAttachments = (hours, now = new Date()) => {
+  return removeAttachments({
+    thread: null,
+    reply: null,
+    createdAt: { $lt: new Date(now.getTime() - hours * 60 * 60 * 1000) }
+  });
+};
+
+module.exports = {
+  AttachmentError,
+  UPLOAD_LIMITS,
+  MAX_UPLOAD_SIZE,
+  storeUpload,
+  findAttachable,
+  attachToPost,
+  releaseFromPost,
+  preparePostAttachments,
+  applyPostAttachments,
+  formatAttachment,
+  getPostAttachments,
+  getReplyAttachments,
+  removeAttachments,
+  cleanupOrphanAttachments
+};
@@ -0,0 +1,100 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields captured in before/after snapshots for each kind of target
+const SNAPSHOT_FIELDS = {
+  category: ['name', 'description', 'color', 'isActive', 'isQnA'],
+  tag: ['name', 'description', 'color', 'usageCount'],
+  thread: ['title', 'content', 'category', 'tags', 'isPinned', 'pinScope', 'pinExpiresAt', 'isLocked', 'lockReason', 'acceptedAnswer'],
+  reply: ['thread', 'content'],
+  report: ['status', 'resolutionNote'],
+  user: ['username', 'role', 'isActive', 'suspendedUntil', 'suspensionReason', 'isBanned', 'banReason']
+};
+
+const LABEL_FIELDS = {
+  category: 'name',
+  tag: 'name',
+  thread: 'title',
+  user: 'username'
+};
+
+// Plain copy of the audited fields of a document, safe to store after the
+// document itself changes
+const snapshot = (targetType, doc) => {
+  if (!doc) {
+    return null;
+  }
+
+  return SNAPSHOT_FIELDS[targetType].reduce((values, field) => {
+    const value = doc.get ? doc.get(field) : doc[field];
+    if (value !== undefined) {
+      values[field] = JSON.parse(JSON.stringify(value));
+    }
+    return values;
+  }, {});
+};
+
+// Record a privileged action taken in a request. Failures are logged and
+// never break the action itself.
+const recordAudit = async (req, { action, targetType, target, label, before = null, after = null, reason = '' }) => {
+  try {
+    const labelField = LABEL_FIELDS[targetType];
+    const source = after || before || {};
+
+    return await AuditLog.create({
+      actor: req.user._id,
+      action,
+      targetType,
+      target,
+      targetLabel: label || (labelField && source[labelField]) || '',
+      before,
+      after,
+      reason: reason || '',
+      ip: req.ip || ''
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+const CSV_COLUMNS = ['createdAt', 'actor', 'action', 'targetType', 'target', 'targetLabel', 'reason', 'ip', 'before', 'after'];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && !value._bsontype) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  // Keep spreadsheet apps from evaluating user-supplied text as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render audit entries (with actor populated) as CSV
+const toCsv = (entries) => {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+    if (column === 'actor') {
+      return csvValue(entry.actor && entry.actor.username ? entry.actor.username : entry.actor);
+    }
+    return csvValue(entry[column]);
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+};
+
+module.exports = {
+  snapshot,
+  recordAudit,
+  toCsv
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const { ensureBadges, evaluateBadges } = require('./badges');
+
+// Distinct days (UTC) on which a user created a thread or reply, oldest first
+const findActiveDays = async (userId) => {
+  const byDay = [
+    { $match: { author: userId, isDeleted: { $ne: true } } },
+    { $project: { day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } } }
+  ];
+
+  const days = await Thread.aggregate([
+    ...byDay,
+    { $unionWith: { coll: Reply.collection.name, pipeline: byDay } },
+    { $group: { _id: '$day' } },
+    { $sort: { _id: 1 } }
+  ]);
+  return days.map(day => day._id);
+};
+
+// Award badges for activity that happened before the badge rules existed
+const backfillBadges = async () => {
+  console.log('Backfilling badges...');
+  await ensureBadges();
+
+  let users = 0;
+  let awarded = 0;
+  const cursor = User.find({}).select('_id').cursor();
+
+  for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+    // Posts now count their day as they are created; catch up on older ones
+    const days = await findActiveDays(user._id);
+    if (days.length > 0) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { activeDays: days.length, lastActiveDay: days[days.length - 1] } }
+      );
+    }
+
+    // Old achievements are awarded quietly rather than flooding notifications
+    const badges = await evaluateBadges(user._id, null, { notify: false });
+    awarded += badges.length;
+    users += 1;
+  }
+
+  console.log(`Awarded ${awarded} badges to ${users} users`);
+  return { users, awarded };
+};
+
+module.exports = backfillBadges;
+
+// Run backfill if this file is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return backfillBadges();
+  })
+  .then(() => {
+    console.log('Backfill completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Backfill failed:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+
+// Set threadDeleted on replies from before the flag existed, from their thread's isDeleted
+const backfillThreadDeleted = async () => {
+  console.log('Backfilling threadDeleted on replies...');
+
+  const deletedThreads = Thread.find({ isDeleted: true }).select('_id').cursor();
+
+  let updated = 0;
+  for (let thread = await deletedThreads.next(); thread != null; thread = await deletedThreads.next()) {
+    const result = await Reply.updateMany(
+      { thread: thread._id, threadDeleted: { $ne: true } },
+      { $set: { threadDeleted: true } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  console.log(`Flagged ${updated} replies in deleted threads`);
+  return updated;
+};
+
+module.exports = backfillThreadDeleted;
+
+// Run backfill if this file is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return backfillThreadDeleted();
+  })
+  .then(() => {
+    console.log('Backfill completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Backfill failed:', err);
+    process.exit(1);
+  });
+}
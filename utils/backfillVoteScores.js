@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+
+// Populate stored vote counts and ranking scores on threads created before they existed
+const backfillVoteScores = async () => {
+  console.log('Backfilling thread vote scores...');
+
+  let updated = 0;
+  const cursor = Thread.find({}).cursor();
+
+  for (let thread = await cursor.next(); thread != null; thread = await cursor.next()) {
+    thread.syncVoteCounts();
+    await thread.save();
+    updated += 1;
+  }
+
+  console.log(`Updated vote scores for ${updated} threads`);
+  return updated;
+};
+
+module.exports = backfillVoteScores;
+
+// Run backfill if this file is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return backfillVoteScores();
+  })
+  .then(() => {
+    console.log('Backfill completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Backfill failed:', err);
+    process.exit(1);
+  });
+}
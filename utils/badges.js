@@ -0,0 +1,203 @@
+const Badge = require('../models/Badge');
+const UserBadge = require('../models/UserBadge');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { notifyBadge } = require('./notifications');
+
+const POPULAR_REPLY_UPVOTES = 10;
+const DEDICATED_DAYS = 100;
+// A tag counts as popular once this many threads use it
+const POPULAR_TAG_USAGE = 25;
+const TAG_CONTRIBUTOR_THREADS = 10;
+
+const TIER_ORDER = ['bronze', 'silver', 'gold'];
+
+const notDeleted = { isDeleted: { $ne: true } };
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Count a day towards a user's active days the first time they post on it.
+// Failures are logged rather than thrown so they never break the post.
+const recordActiveDay = async (userId, date = new Date()) => {
+  try {
+    const day = dayKey(date);
+    await User.updateOne(
+      { _id: userId, lastActiveDay: { $ne: day } },
+      { $set: { lastActiveDay: day }, $inc: { activeDays: 1 } }
+    );
+  } catch (error) {
+    console.error('Active day error:', error);
+  }
+};
+
+// Whether a user has enough positively scored threads in one popular tag
+const isTagContributor = async (userId) => {
+  const tags = await Thread.aggregate([
+    { $match: { author: userId, voteScore: { $gte: 1 }, ...notDeleted } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', threads: { $sum: 1 } } },
+    { $match: { threads: { $gte: TAG_CONTRIBUTOR_THREADS } } }
+  ]);
+  if (tags.length === 0) {
+    return false;
+  }
+
+  return Boolean(await Tag.exists({ _id: { $in: tags.map(tag => tag._id) }, usageCount: { $gte: POPULAR_TAG_USAGE } }));
+};
+
+// Badge definitions with the rule that awards each one. `events` lists what
+// triggers a check for the user concerned (the author of the post).
+const BADGE_RULES = [
+  {
+    key: 'first-thread',
+    name: 'First Thread',
+    description: 'Started a thread',
+    tier: 'bronze',
+    events: ['thread.created'],
+    check: async (userId) => Boolean(await Thread.exists({ author: userId, ...notDeleted }))
+  },
+  {
+    key: 'first-reply',
+    name: 'First Reply',
+    description: 'Replied to a thread',
+    tier: 'bronze',
+    events: ['reply.created'],
+    check: async (userId) => Boolean(await Reply.exists({ author: userId, ...notDeleted }))
+  },
+  {
+    key: 'popular-reply',
+    name: 'Popular Reply',
+    description: `Wrote a reply with ${POPULAR_REPLY_UPVOTES} or more upvotes`,
+    tier: 'silver',
+    events: ['reply.upvoted'],
+    check: async (userId) => Boolean(await Reply.exists({
+      author: userId,
+      upvoteCount: { $gte: POPULAR_REPLY_UPVOTES },
+      ...notDeleted
+    }))
+  },
+  {
+    key: 'tag-contributor',
+    name: 'Tag Contributor',
+    description: `Started ${TAG_CONTRIBUTOR_THREADS} positively scored threads in a popular tag`,
+    tier: 'silver',
+    events: ['thread.upvoted'],
+    check: isTagContributor
+  },
+  {
+    key: 'dedicated',
+    name: 'Dedicated',
+    description: `Posted on ${DEDICATED_DAYS} different days`,
+    tier: 'gold',
+    events: ['thread.created', 'reply.created'],
+    check: async (userId) => Boolean(await User.exists({ _id: userId, activeDays: { $gte: DEDICATED_DAYS } }))
+  }
+];
+
+const definition = ({ key, name, description, tier }) => ({ key, name, description, tier });
+
+// Create or update the Badge documents for every rule
+const ensureBadges = async () => {
+  await Badge.bulkWrite(BADGE_RULES.map(rule => ({
+    updateOne: {
+      filter: { key: rule.key },
+      update: { $set: definition(rule) },
+      upsert: true
+    }
+  })));
+};
+
+// Award a badge unless the user already has it. Returns whether it was awarded.
+const awardBadge = async (userId, rule, { notify = true } = {}) => {
+  const badge = await Badge.findOneAndUpdate(
+    { key: rule.key },
+    { $set: definition(rule) },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    await UserBadge.create({ user: userId, badge: badge._id });
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+
+  await Badge.updateOne({ _id: badge._id }, { $inc: { awardedCount: 1 } });
+  if (notify) {
+    await notifyBadge({ recipient: userId, badge });
+  }
+  return true;
+};
+
+// Run the rules triggered by `event` (every rule when no event is given) for a
+// user and award the badges they now qualify for. Failures are logged rather
+// than thrown so they never break the request that caused them.
+const evaluateBadges = async (userId, event = null, options = {}) => {
+  try {
+    const rules = BADGE_RULES.filter(rule => !event || rule.events.includes(event));
+    if (rules.length === 0) {
+      return [];
+    }
+
+    const held = await UserBadge.find({ user: userId }).populate('badge', 'key');
+    const heldKeys = held.filter(userBadge => userBadge.badge).map(userBadge => userBadge.badge.key);
+
+    const awarded = [];
+    for (const rule of rules) {
+      if (heldKeys.includes(rule.key) || !(await rule.check(userId))) {
+        continue;
+      }
+      if (await awardBadge(userId, rule, options)) {
+        awarded.push(rule.key);
+      }
+    }
+    return awarded;
+  } catch (error) {
+    console.error('Badge evaluation error:', error);
+    return [];
+  }
+};
+
+const formatBadge = (badge) => ({
+  key: badge.key,
+  name: badge.name,
+  description: badge.description,
+  tier: badge.tier,
+  awardedCount: badge.awardedCount
+});
+
+// Sort badges gold first, then by name
+const compareBadges = (a, b) => (
+  TIER_ORDER.indexOf(b.tier) - TIER_ORDER.indexOf(a.tier) || a.name.localeCompare(b.name)
+);
+
+// Badges a user has earned, for their profile
+const getUserBadges = async (userId) => {
+  const userBadges = await UserBadge.find({ user: userId }).populate('badge');
+
+  return userBadges
+    .filter(userBadge => userBadge.badge)
+    .map(userBadge => ({
+      key: userBadge.badge.key,
+      name: userBadge.badge.name,
+      description: userBadge.badge.description,
+      tier: userBadge.badge.tier,
+      awardedAt: userBadge.awardedAt
+    }))
+    .sort(compareBadges);
+};
+
+module.exports = {
+  BADGE_RULES,
+  ensureBadges,
+  recordActiveDay,
+  awardBadge,
+  evaluateBadges,
+  formatBadge,
+  compareBadges,
+  getUserBadges
+};
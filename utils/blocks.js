@@ -0,0 +1,106 @@
+const UserBlock = require('../models/UserBlock');
+const UserMute = require('../models/UserMute');
+const Follow = require('../models/Follow');
+
+// Block a user. Blocking twice is a no-op. Any follows between the two users
+// are removed in both directions.
+const block = async (blockerId, blockedId) => {
+  await UserBlock.updateOne(
+    { blocker: blockerId, blocked: blockedId },
+    { $setOnInsert: { blocker: blockerId, blocked: blockedId } },
+    { upsert: true }
+  );
+
+  await Follow.deleteMany({
+    targetType: 'user',
+    $or: [
+      { follower: blockerId, target: blockedId },
+      { follower: blockedId, target: blockerId }
+    ]
+  });
+};
+
+// Returns whether there was a block to remove
+const unblock = async (blockerId, blockedId) => {
+  const result = await UserBlock.deleteOne({ blocker: blockerId, blocked: blockedId });
+  return result.deletedCount > 0;
+};
+
+const mute = (muterId, mutedId) => {
+  return UserMute.updateOne(
+    { muter: muterId, muted: mutedId },
+    { $setOnInsert: { muter: muterId, muted: mutedId } },
+    { upsert: true }
+  );
+};
+
+// Returns whether there was a mute to remove
+const unmute = async (muterId, mutedId) => {
+  const result = await UserMute.deleteOne({ muter: muterId, muted: mutedId });
+  return result.deletedCount > 0;
+};
+
+// Ids (as strings) of the users in `otherIds` who have blocked `userId` or
+// whom `userId` has blocked
+const findBlockedBetween = async (userId, otherIds) => {
+  if (otherIds.length === 0) {
+    return new Set();
+  }
+
+  const blocks = await UserBlock.find({
+    $or: [
+      { blocker: userId, blocked: { $in: otherIds } },
+      { blocker: { $in: otherIds }, blocked: userId }
+    ]
+  }).select('blocker blocked');
+
+  return new Set(blocks.map(block => (
+    block.blocker.toString() === userId.toString() ? block.blocked.toString() : block.blocker.toString()
+  )));
+};
+
+// Authors whose posts are hidden (`blocked`) or collapsed (`muted`) for a user,
+// as sets of id strings. Both are empty for anonymous requests.
+const getUserFilters = async (user) => {
+  if (!user) {
+    return { blocked: new Set(), muted: new Set() };
+  }
+
+  const [blocks, mutes] = await Promise.all([
+    UserBlock.find({ blocker: user._id }).select('blocked'),
+    UserMute.find({ muter: user._id }).select('muted')
+  ]);
+
+  return {
+    blocked: new Set(blocks.map(entry => entry.blocked.toString())),
+    muted: new Set(mutes.map(entry => entry.muted.toString()))
+  };
+};
+
+// Query condition excluding threads or replies by blocked authors, or null
+// when there is nothing to exclude
+const excludeBlocked = (filters) => {
+  if (!filters || filters.blocked.size === 0) {
+    return null;
+  }
+  return { author: { $nin: [...filters.blocked] } };
+};
+
+// Whether a populated or unpopulated author is in one of the filter sets
+const isFilteredAuthor = (set, author) => {
+  if (!set || !author) {
+    return false;
+  }
+  return set.has((author._id || author).toString());
+};
+
+module.exports = {
+  block,
+  unblock,
+  mute,
+  unmute,
+  findBlockedBetween,
+  getUserFilters,
+  excludeBlocked,
+  isFilteredAuthor
+};
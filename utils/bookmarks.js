@@ -0,0 +1,15 @@
+const Bookmark = require('../models/Bookmark');
+
+// Ids (as strings) of the given threads that the user has bookmarked
+const getBookmarkedThreadIds = async (user, threadIds) => {
+  if (!user || threadIds.length === 0) {
+    return new Set();
+  }
+
+  const bookmarks = await Bookmark.find({ user: user._id, thread: { $in: threadIds } }).select('thread');
+  return new Set(bookmarks.map(bookmark => bookmark.thread.toString()));
+};
+
+module.exports = {
+  getBookmarkedThreadIds
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { cleanupOrphanAttachments } = require('./attachments');
+
+// Remove uploads that were not attached to a post within
+// ATTACHMENT_ORPHAN_HOURS hours (default 24), along with their files
+const runCleanup = async () => {
+  const orphanHours = process.env.ATTACHMENT_ORPHAN_HOURS !== undefined
+    ? parseInt(process.env.ATTACHMENT_ORPHAN_HOURS)
+    : 24;
+
+  if (isNaN(orphanHours) || orphanHours < 0) {
+    throw new Error('ATTACHMENT_ORPHAN_HOURS must be a non-negative number');
+  }
+
+  const removed = await cleanupOrphanAttachments(orphanHours);
+
+  console.log(`Removed ${removed} unattached uploads`);
+  return { removed };
+};
+
+module.exports = runCleanup;
+
+// Run from a scheduler, e.g. hourly from cron
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return runCleanup();
+  })
+  .then(() => {
+    console.log('Attachment cleanup completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Attachment cleanup failed:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,139 @@
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Bookmark = require('../models/Bookmark');
+const Subscription = require('../models/Subscription');
+const Report = require('../models/Report');
+const Revision = require('../models/Revision');
+const PollBallot = require('../models/PollBallot');
+const { publish, threadChannel } = require('./eventBus');
+const { removeAttachments } = require('./attachments');
+const { unacceptAnswer } = require('./answers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Content is hidden, so pending reports on it are settled
+const settleReports = (filter) => Report.updateMany(
+  { ...filter, status: 'open' },
+  { $set: { status: 'removed', resolvedAt: new Date() } }
+);
+
+// Soft-delete a thread: hide it from listings and take it out of the category
+// and tag counters. Replies, bookmarks and subscriptions are kept until purge.
+const deleteThread = async (thread, userId) => {
+  await Category.updateOne({ _id: thread.category, threadCount: { $gt: 0 } }, { $inc: { threadCount: -1 } });
+  await Tag.updateMany({ _id: { $in: thread.tags }, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+
+  thread.markDeleted(userId);
+  await thread.save();
+  await Reply.updateMany({ thread: thread._id }, { $set: { threadDeleted: true } });
+
+  await settleReports({ thread: thread._id });
+
+  publish(threadChannel(thread._id), 'thread:deleted', { threadId: thread._id });
+};
+
+// Bring a soft-deleted thread back. Tags deleted in the meantime are dropped;
+// the caller makes sure the category still exists.
+const restoreThread = async (thread) => {
+  const tags = await Tag.find({ _id: { $in: thread.tags } }).distinct('_id');
+
+  await Category.updateOne({ _id: thread.category }, { $inc: { threadCount: 1 } });
+  await Tag.updateMany({ _id: { $in: tags } }, { $inc: { usageCount: 1 } });
+
+  thread.tags = tags;
+  thread.markRestored();
+  await thread.save();
+  await Reply.updateMany({ thread: thread._id }, { $set: { threadDeleted: false } });
+};
+
+// Remove a thread for good with its replies and everything that points at it
+const purgeThread = async (thread) => {
+  await Reply.deleteMany({ thread: thread._id });
+  await Revision.deleteMany({ thread: thread._id });
+  await removeAttachments({ thread: thread._id });
+  await Bookmark.deleteMany({ thread: thread._id });
+  await PollBallot.deleteMany({ thread: thread._id });
+  await Subscription.deleteMany({ targetType: 'thread', target: thread._id });
+  await Thread.deleteOne({ _id: thread._id });
+};
+
+// Soft-delete a reply. It stays in the tree as a "[deleted]" placeholder so
+// its nested replies keep their place.
+const deleteReply = async (reply, userId) => {
+  reply.markDeleted(userId);
+  await reply.save();
+
+  // A deleted reply can no longer be the accepted answer
+  const answered = await Thread.findOne({ _id: reply.thread, acceptedAnswer: reply._id });
+  if (answered) {
+    await unacceptAnswer(answered, userId);
+  }
+
+  await Thread.updateOne({ _id: reply.thread, replyCount: { $gt: 0 } }, { $inc: { replyCount: -1 } });
+  await settleReports({ reply: reply._id });
+
+  publish(threadChannel(reply.thread), 'reply:deleted', {
+    threadId: reply.thread,
+    replyId: reply._id,
+    parentReply: reply.parentReply
+  });
+};
+
+const restoreReply = async (reply) => {
+  reply.markRestored();
+  await reply.save();
+
+  await Thread.updateOne({ _id: reply.thread }, { $inc: { replyCount: 1 } });
+};
+
+// Purge threads and replies deleted more than `days` days ago. Deleted replies
+// without children are removed; those with children lose their content but
+// stay as placeholders until their last child is gone.
+const purgeDeletedContent = async (days, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+  const expired = { isDeleted: true, deletedAt: { $lte: cutoff } };
+
+  const threads = await Thread.find(expired).select('_id');
+  for (const thread of threads) {
+    await purgeThread(thread);
+  }
+
+  // Removing a leaf can turn its deleted parent into a leaf, so repeat until none are left
+  let replies = 0;
+  for (;;) {
+    const leaves = await Reply.find({ ...expired, replyCount: 0 }).select('_id parentReply');
+    if (leaves.length === 0) break;
+
+    const leafIds = leaves.map(reply => reply._id);
+    await Reply.deleteMany({ _id: { $in: leafIds } });
+    await Revision.deleteMany({ reply: { $in: leafIds } });
+    await removeAttachments({ reply: { $in: leafIds } });
+    for (const leaf of leaves) {
+      if (leaf.parentReply) {
+        await Reply.updateOne({ _id: leaf.parentReply }, { $inc: { replyCount: -1 } });
+      }
+    }
+    replies += leaves.length;
+  }
+
+  const placeholderIds = await Reply.find({ ...expired, purgedAt: { $exists: false } }).distinct('_id');
+  await Reply.updateMany(
+    { _id: { $in: placeholderIds } },
+    { $set: { content: '', mentions: [], purgedAt: now } }
+  );
+  await Revision.deleteMany({ reply: { $in: placeholderIds } });
+  await removeAttachments({ reply: { $in: placeholderIds } });
+
+  return { threads: threads.length, replies, scrubbed: placeholderIds.length };
+};
+
+module.exports = {
+  deleteThread,
+  restoreThread,
+  purgeThread,
+  deleteReply,
+  restoreReply,
+  purgeDeletedContent
+};
@@ -0,0 +1,147 @@
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const Category = require('../models/Category');
+const { signToken } = require('./signedLinks');
+const { escapeHtml } = require('./search');
+const { excerpt } = require('./markdown');
+
+// Items listed per subscription; the rest are summarised as a count
+const MAX_ITEMS_PER_SECTION = 10;
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+const getApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const threadUrl = (threadId) => `${getFrontendUrl()}/threads/${threadId}`;
+const categoryUrl = (categoryId) => `${getFrontendUrl()}/categories/${categoryId}`;
+
+// One-click unsubscribe link for a single subscription, or for every digest
+// of a frequency when no subscription is given
+const unsubscribeUrl = ({ userId, subscriptionId, frequency }) => {
+  const payload = subscriptionId
+    ? { subscription: subscriptionId.toString() }
+    : { user: userId.toString(), frequency };
+  return `${getApiUrl()}/api/subscriptions/unsubscribe?token=${signToken('unsubscribe', payload)}`;
+};
+
+// Collect activity since each subscription was last sent, skipping the user's own posts
+const buildDigest = async (user, subscriptions, until = new Date()) => {
+  const sections = [];
+
+  for (const subscription of subscriptions) {
+    const window = { $gt: subscription.lastSentAt, $lte: until };
+
+    if (subscription.targetType === 'thread') {
+      const thread = await Thread.findById(subscription.target).notDeleted().select('title');
+      if (!thread) continue;
+
+      const query = { thread: thread._id, createdAt: window, author: { $ne: user._id }, isDeleted: { $ne: true } };
+      const count = await Reply.countDocuments(query);
+      if (count === 0) continue;
+
+      const replies = await Reply.find(query)
+        .populate('author', 'username')
+        .sort({ createdAt: 1 })
+        .limit(MAX_ITEMS_PER_SECTION);
+
+      sections.push({
+        subscription,
+        title: `New replies in "${thread.title}"`,
+        url: threadUrl(thread._id),
+        count,
+        items: replies.map(reply => ({
+          author: reply.author ? reply.author.username : 'Unknown',
+          text: excerpt(reply.content, 160),
+          url: `${threadUrl(thread._id)}#reply-${reply._id}`,
+          createdAt: reply.createdAt
+        })),
+        unsubscribeUrl: unsubscribeUrl({ subscriptionId: subscription._id })
+      });
+    } else {
+      const category = await Category.findById(subscription.target).select('name');
+      if (!category) continue;
+
+      const query = { category: category._id, createdAt: window, author: { $ne: user._id }, isDeleted: { $ne: true } };
+      const count = await Thread.countDocuments(query);
+      if (count === 0) continue;
+
+      const threads = await Thread.find(query)
+        .populate('author', 'username')
+        .sort({ createdAt: 1 })
+        .limit(MAX_ITEMS_PER_SECTION);
+
+      sections.push({
+        subscription,
+        title: `New threads in ${category.name}`,
+        url: categoryUrl(category._id),
+        count,
+        items: threads.map(thread => ({
+          author: thread.author ? thread.author.username : 'Unknown',
+          text: thread.title,
+          url: threadUrl(thread._id),
+          createdAt: thread.createdAt
+        })),
+        unsubscribeUrl: unsubscribeUrl({ subscriptionId: subscription._id })
+      });
+    }
+  }
+
+  return {
+    user,
+    sections,
+    total: sections.reduce((sum, section) => sum + section.count, 0)
+  };
+};
+
+// Render a digest as an email message with List-Unsubscribe headers
+const renderDigest = (digest, frequency) => {
+  const { user, sections, total } = digest;
+  const unsubscribeAll = unsubscribeUrl({ userId: user._id, frequency });
+  const subject = `Your ${frequency} forum digest: ${total} new ${total === 1 ? 'update' : 'updates'}`;
+
+  const text = [
+    `Hi ${user.username},`,
+    '',
+    ...sections.flatMap(section => [
+      `${section.title} (${section.count})`,
+      ...section.items.map(item => `- ${item.author}: ${item.text}\n  ${item.url}`),
+      section.count > section.items.length ? `  ...and ${section.count - section.items.length} more: ${section.url}` : null,
+      `  Unsubscribe: ${section.unsubscribeUrl}`,
+      ''
+    ].filter(line => line !== null)),
+    `Unsubscribe from all ${frequency} digests: ${unsubscribeAll}`
+  ].join('\n');
+
+  const html = [
+    `<p>Hi ${escapeHtml(user.username)},</p>`,
+    ...sections.map(section => [
+      `<h3><a href="${section.url}">${escapeHtml(section.title)}</a> (${section.count})</h3>`,
+      '<ul>',
+      ...section.items.map(item =>
+        `<li><strong>${escapeHtml(item.author)}</strong>: <a href="${item.url}">${escapeHtml(item.text)}</a></li>`
+      ),
+      '</ul>',
+      section.count > section.items.length
+        ? `<p><a href="${section.url}">...and ${section.count - section.items.length} more</a></p>`
+        : '',
+      `<p><small><a href="${section.unsubscribeUrl}">Unsubscribe</a></small></p>`
+    ].join('\n')),
+    `<p><small><a href="${unsubscribeAll}">Unsubscribe from all ${frequency} digests</a></small></p>`
+  ].join('\n');
+
+  return {
+    to: user.email,
+    subject,
+    text,
+    html,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeAll}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+};
+
+module.exports = {
+  buildDigest,
+  renderDigest,
+  unsubscribeUrl
+};
@@ -0,0 +1,54 @@
+const { EventEmitter } = require('events');
+
+// In-process transport. A shared broker (e.g. Redis pub/sub) can replace it
+// through setTransport as long as it offers the same publish/subscribe shape.
+const createMemoryTransport = () => {
+  const emitter = new EventEmitter();
+  // Every open stream adds a listener, so lift the default warning threshold
+  emitter.setMaxListeners(0);
+
+  return {
+    publish: (channel, event) => {
+      emitter.emit(channel, event);
+    },
+    subscribe: (channel, handler) => {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+};
+
+let transport = createMemoryTransport();
+
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+let nextEventId = 1;
+
+// Publish an event; failures are logged so they never break the request that caused them
+const publish = (channel, type, data) => {
+  try {
+    transport.publish(channel, {
+      id: `${Date.now()}-${nextEventId++}`,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Event publish error:', error);
+  }
+};
+
+// Returns a function that removes the subscription
+const subscribe = (channel, handler) => transport.subscribe(channel, handler);
+
+const threadChannel = (threadId) => `thread:${threadId}`;
+
+module.exports = {
+  createMemoryTransport,
+  setTransport,
+  publish,
+  subscribe,
+  threadChannel
+};
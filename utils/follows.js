@@ -0,0 +1,61 @@
+const Follow = require('../models/Follow');
+
+// Follow a user, tag or category. Following twice is a no-op.
+const follow = (followerId, targetType, target) => {
+  return Follow.updateOne(
+    { follower: followerId, targetType, target },
+    { $setOnInsert: { follower: followerId, targetType, target } },
+    { upsert: true }
+  );
+};
+
+// Returns whether there was a follow to remove
+const unfollow = async (followerId, targetType, target) => {
+  const result = await Follow.deleteOne({ follower: followerId, targetType, target });
+  return result.deletedCount > 0;
+};
+
+// Move the followers of one tag or category to another, e.g. when merging tags
+const moveFollows = async (targetType, from, to) => {
+  const follows = await Follow.find({ targetType, target: from }).select('follower');
+  for (const entry of follows) {
+    await follow(entry.follower, targetType, to);
+  }
+  await Follow.deleteMany({ targetType, target: from });
+};
+
+const removeFollows = (targetType, target) => Follow.deleteMany({ targetType, target });
+
+// Everything a user follows, as arrays of ids by type
+const getFollowedIds = async (userId) => {
+  const follows = await Follow.find({ follower: userId }).select('targetType target');
+  const byType = { user: [], tag: [], category: [] };
+  follows.forEach(entry => byType[entry.targetType].push(entry.target));
+
+  return { users: byType.user, tags: byType.tag, categories: byType.category };
+};
+
+const countFollows = async (userId) => {
+  const [followerCount, followingCount] = await Promise.all([
+    Follow.countDocuments({ targetType: 'user', target: userId }),
+    Follow.countDocuments({ follower: userId, targetType: 'user' })
+  ]);
+  return { followerCount, followingCount };
+};
+
+const isFollowing = async (user, targetType, target) => {
+  if (!user) {
+    return false;
+  }
+  return Boolean(await Follow.exists({ follower: user._id, targetType, target }));
+};
+
+module.exports = {
+  follow,
+  unfollow,
+  moveFollows,
+  removeFollows,
+  getFollowedIds,
+  countFollows,
+  isFollowing
+};
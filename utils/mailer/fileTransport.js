@@ -0,0 +1,20 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each message as a JSON file, for local development
+const createFileTransport = (directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail')) => {
+  let counter = 0;
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      const id = `${Date.now()}-${++counter}`;
+      const file = path.join(directory, `${id}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { id, file };
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,48 @@
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createMemoryTransport = require('./memoryTransport');
+
+// Transports share one shape: { name, send(message) } where message has
+// to, subject, text, html and optional headers
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport
+};
+
+let transport = null;
+
+// Chosen with MAIL_TRANSPORT (smtp, file or memory); defaults to file outside production
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+    const create = transports[name];
+    if (!create) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = create();
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with a memory transport in tests
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = async (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Forum <no-reply@forum.local>',
+    ...message
+  });
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport
+};
@@ -0,0 +1,16 @@
+// Keeps sent messages in memory, for tests and local development
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      const id = `${Date.now()}-${outbox.length + 1}`;
+      outbox.push({ id, ...message, sentAt: new Date() });
+      return { id };
+    }
+  };
+};
+
+module.exports = createMemoryTransport;
@@ -0,0 +1,95 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+// Raw HTML in posts is escaped rather than passed through; links are
+// detected in plain text. Tables, fenced code and strikethrough are on by default.
+const md = new MarkdownIt({
+  html: false,
+  linkify: true,
+  typographer: false
+});
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'blockquote', 'pre', 'code', 'ul', 'ol', 'li',
+    'strong', 'em', 's', 'del', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    ol: ['start'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links in user content should not pass ranking or the opener
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow ugc noopener noreferrer' })
+  }
+};
+
+// Render user-written Markdown to HTML that is safe to insert into a page
+const renderMarkdown = (content) => {
+  if (!content) {
+    return '';
+  }
+  return sanitizeHtml(md.render(content), SANITIZE_OPTIONS);
+};
+
+// The readable text of a Markdown document, without any syntax
+const toPlainText = (content) => {
+  if (!content) {
+    return '';
+  }
+
+  const parts = [];
+  const walk = (tokens) => tokens.forEach(token => {
+    if (token.children) {
+      walk(token.children);
+    } else if (['text', 'code_inline', 'fence', 'code_block'].includes(token.type)) {
+      parts.push(token.content);
+    } else if (token.type === 'softbreak' || token.type === 'hardbreak') {
+      parts.push(' ');
+    }
+
+    // Keep words from neighbouring blocks apart
+    if (token.block && token.nesting === -1) {
+      parts.push(' ');
+    }
+  });
+  walk(md.parse(content, {}));
+
+  return parts.join('').replace(/\s+/g, ' ').trim();
+};
+
+// Plain-text preview of a post, cut at a word boundary
+const excerpt = (content, length = 300) => {
+  const text = toPlainText(content);
+  if (text.length <= length) {
+    return text;
+  }
+
+  const cut = text.substring(0, length);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > length * 0.6 ? cut.substring(0, lastSpace) : cut}...`;
+};
+
+module.exports = {
+  renderMarkdown,
+  toPlainText,
+  excerpt
+};
@@ -0,0 +1,84 @@
+const User = require('../models/User');
+const { notify } = require('./notifications');
+const { findBlockedBetween } = require('./blocks');
+
+// @username where the username follows registration rules and is not part of an email or word
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_]{3,30})(?![\w@])/g;
+
+// Maximum number of distinct users resolved from one post
+const MAX_MENTIONS = 20;
+
+const extractMentions = (content) => {
+  const usernames = [];
+  for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+    if (!usernames.includes(match[2])) {
+      usernames.push(match[2]);
+    }
+  }
+  return usernames.slice(0, MAX_MENTIONS);
+};
+
+// Resolve @username tokens to users. Names already resolved on a previous version
+// of the post keep their user, so editing an old post does not re-point a mention
+// of a renamed user at whoever took the name since.
+const resolveMentions = async (content, previous = []) => {
+  const usernames = extractMentions(content);
+  if (usernames.length === 0) {
+    return [];
+  }
+
+  const known = new Map(previous.map(mention => [mention.username, mention.user]));
+  const unknown = usernames.filter(username => !known.has(username));
+
+  if (unknown.length > 0) {
+    const users = await User.find({ username: { $in: unknown }, ...User.activeFilter() }).select('username');
+    users.forEach(user => known.set(user.username, user._id));
+  }
+
+  return usernames
+    .filter(username => known.has(username))
+    .map(username => ({ user: known.get(username), username }));
+};
+
+// Notify users mentioned in `mentions` who were not already in `previous`.
+// Users with a block in either direction between them and the actor are skipped.
+const notifyMentions = async ({ mentions, previous = [], actor, thread, reply }) => {
+  const alreadyNotified = new Set(previous.map(mention => mention.user.toString()));
+  const blocked = await findBlockedBetween(actor, mentions.map(mention => mention.user));
+  const recipients = new Set();
+
+  for (const mention of mentions) {
+    const userId = mention.user.toString();
+    if (!alreadyNotified.has(userId) && !recipients.has(userId) && !blocked.has(userId)) {
+      recipients.add(userId);
+      await notify({
+        recipient: mention.user,
+        actor,
+        type: 'mention',
+        thread,
+        reply
+      });
+    }
+  }
+};
+
+// Shape populated mentions for API responses. `text` is the token as written in
+// the content and `user` carries the current username for linking.
+const formatMentions = (mentions = []) => {
+  return mentions
+    .filter(mention => mention.user && mention.user.username)
+    .map(mention => ({
+      text: `@${mention.username}`,
+      user: {
+        id: mention.user._id,
+        username: mention.user.username
+      }
+    }));
+};
+
+module.exports = {
+  extractMentions,
+  resolveMentions,
+  notifyMentions,
+  formatMentions
+};
@@ -0,0 +1,115 @@
+const User = require('../models/User');
+const Message = require('../models/Message');
+const { findBlockedBetween } = require('./blocks');
+const { renderMarkdown } = require('./markdown');
+const { notifyMessage } = require('./notifications');
+
+const PARTICIPANT_FIELDS = 'username avatar';
+
+// Recipients a user may not message: missing, suspended or banned users, and
+// anyone with a block in either direction. Returns the users it found and the
+// usernames of the unavailable ones.
+const checkRecipients = async (senderId, recipientIds) => {
+  const users = await User.find({ _id: { $in: recipientIds } }).select('username isActive isBanned suspendedUntil');
+  const blocked = await findBlockedBetween(senderId, recipientIds);
+
+  const unavailable = users
+    .filter(user => !user.isAccountActive() || blocked.has(user._id.toString()))
+    .map(user => user.username);
+
+  return { users, unavailable, missing: recipientIds.length - users.length };
+};
+
+// Add a message to a conversation, mark it read for the sender and notify the
+// other participants who have not muted the conversation, are active and have
+// no block with the sender
+const sendMessage = async (conversation, sender, content) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    content
+  });
+
+  conversation.lastMessage = message._id;
+  conversation.lastMessageAt = message.createdAt;
+  conversation.getParticipant(sender._id).lastReadAt = message.createdAt;
+  await conversation.save();
+
+  const recipientIds = conversation.participants
+    .filter(participant => !participant.leftAt && !participant.isMuted)
+    .map(participant => participant.user._id || participant.user)
+    .filter(recipient => recipient.toString() !== sender._id.toString());
+
+  if (recipientIds.length > 0) {
+    const { users, unavailable } = await checkRecipients(sender._id, recipientIds);
+    for (const user of users) {
+      if (!unavailable.includes(user.username)) {
+        await notifyMessage({ recipient: user._id, conversation, actor: sender._id });
+      }
+    }
+  }
+
+  return message;
+};
+
+// Unread message counts for a user, keyed by conversation id
+const countUnread = async (conversations, userId) => {
+  const conditions = conversations
+    .map(conversation => {
+      const participant = conversation.getParticipant(userId);
+      return participant && conversation.lastMessageAt > participant.lastReadAt
+        ? { conversation: conversation._id, createdAt: { $gt: participant.lastReadAt } }
+        : null;
+    })
+    .filter(Boolean);
+
+  if (conditions.length === 0) {
+    return new Map();
+  }
+
+  const counts = await Message.aggregate([
+    { $match: { $or: conditions, sender: { $ne: userId } } },
+    { $group: { _id: '$conversation', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(count => [count._id.toString(), count.count]));
+};
+
+const formatMessage = (message) => ({
+  id: message._id,
+  conversation: message.conversation,
+  sender: message.sender,
+  content: message.content,
+  contentHtml: renderMarkdown(message.content),
+  createdAt: message.createdAt
+});
+
+// Conversation summary from one participant's point of view. Participants must
+// be populated with PARTICIPANT_FIELDS.
+const formatConversation = (conversation, userId, unreadCount = 0) => {
+  const participant = conversation.getParticipant(userId);
+
+  return {
+    id: conversation._id,
+    subject: conversation.subject,
+    participants: conversation.participants
+      .filter(entry => !entry.leftAt && entry.user)
+      .map(entry => entry.user),
+    lastMessage: conversation.lastMessage && conversation.lastMessage.content !== undefined
+      ? formatMessage(conversation.lastMessage)
+      : null,
+    lastMessageAt: conversation.lastMessageAt,
+    unreadCount,
+    isMuted: participant ? participant.isMuted : false,
+    lastReadAt: participant ? participant.lastReadAt : null,
+    createdAt: conversation.createdAt
+  };
+};
+
+module.exports = {
+  PARTICIPANT_FIELDS,
+  checkRecipients,
+  sendMessage,
+  countUnread,
+  formatMessage,
+  formatConversation
+};
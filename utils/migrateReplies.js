@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+
+// Flatten an embedded reply tree into Reply documents, keeping the original ids
+const flattenReplies = (threadId, replies, parent = null, ancestors = []) => {
+  const docs = [];
+
+  for (const embedded of replies || []) {
+    const children = embedded.replies || [];
+    const reply = new Reply({
+      _id: embedded._id,
+      thread: threadId,
+      author: embedded.author,
+      content: embedded.content,
+      votes: embedded.votes || [],
+      parentReply: parent,
+      ancestors,
+      depth: ancestors.length,
+      replyCount: children.length,
+      isEdited: embedded.isEdited || false,
+      editedAt: embedded.editedAt,
+      createdAt: embedded.createdAt || new Date(),
+      updatedAt: embedded.editedAt || embedded.createdAt || new Date()
+    });
+    reply.syncVoteCounts();
+
+    docs.push(reply);
+    docs.push(...flattenReplies(threadId, children, embedded._id, [...ancestors, embedded._id]));
+  }
+
+  return docs;
+};
+
+// Move replies embedded in thread documents into the Reply collection.
+// Safe to re-run: replies that were already copied are skipped.
+const migrateReplies = async () => {
+  console.log('Migrating embedded replies...');
+
+  let threadCount = 0;
+  let replyCount = 0;
+
+  // The Thread schema no longer declares `replies`, so read the raw documents
+  const cursor = Thread.collection.find(
+    { replies: { $exists: true } },
+    { projection: { replies: 1 } }
+  );
+
+  for await (const raw of cursor) {
+    const docs = flattenReplies(raw._id, raw.replies);
+
+    const existingIds = await Reply.find({ _id: { $in: docs.map(doc => doc._id) } }).distinct('_id');
+    const existing = new Set(existingIds.map(id => id.toString()));
+    const missing = docs.filter(doc => !existing.has(doc._id.toString()));
+
+    if (missing.length > 0) {
+      await Reply.insertMany(missing);
+    }
+
+    const total = await Reply.countDocuments({ thread: raw._id });
+    await Thread.collection.updateOne(
+      { _id: raw._id },
+      { $unset: { replies: '' }, $set: { replyCount: total } }
+    );
+
+    threadCount += 1;
+    replyCount += missing.length;
+  }
+
+  console.log(`Migrated ${replyCount} replies from ${threadCount} threads`);
+  return { threadCount, replyCount };
+};
+
+module.exports = migrateReplies;
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return migrateReplies();
+  })
+  .then(() => {
+    console.log('Migration completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,62 @@
+// Detect a file's type from its first bytes instead of trusting the client's
+// Content-Type or file extension
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+const SIGNATURES = [
+  { mimeType: 'image/png', test: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: 'image/jpeg', test: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  { mimeType: 'image/gif', test: buffer => startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a')) },
+  { mimeType: 'image/webp', test: buffer => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8) },
+  { mimeType: 'application/pdf', test: buffer => startsWith(buffer, ascii('%PDF-')) },
+  { mimeType: 'application/zip', test: buffer => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) }
+];
+
+// Bytes inspected when deciding whether a file is plain text
+const TEXT_SAMPLE_SIZE = 8192;
+
+const isPlainText = (buffer) => {
+  const sample = buffer.subarray(0, TEXT_SAMPLE_SIZE);
+  if (sample.length === 0 || sample.includes(0)) {
+    return false;
+  }
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns the detected MIME type, or null when the content is not recognised
+const sniffMimeType = (buffer) => {
+  const match = SIGNATURES.find(signature => signature.test(buffer));
+  if (match) {
+    return match.mimeType;
+  }
+  return isPlainText(buffer) ? 'text/plain' : null;
+};
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'text/plain': '.txt'
+};
+
+module.exports = {
+  sniffMimeType,
+  EXTENSIONS
+};
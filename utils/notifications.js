@@ -0,0 +1,196 @@
+const Notification = require('../models/Notification');
+
+// Create a notification, or merge it into an unread one with the same group key.
+// A group's count goes up by one per event, or with `distinctActors` only for
+// actors not already in it, so one user toggling an upvote counts once.
+// Failures are logged rather than thrown so they never break the request that caused them.
+const notify = async ({
+  recipient,
+  actor,
+  type,
+  thread,
+  reply,
+  conversation,
+  groupKey = null,
+  distinctActors = false,
+  message
+}) => {
+  try {
+    if (!recipient || (actor && recipient.toString() === actor.toString())) {
+      return null;
+    }
+
+    if (!groupKey) {
+      return await Notification.create({
+        recipient,
+        type,
+        thread,
+        reply,
+        conversation,
+        actors: actor ? [actor] : [],
+        message
+      });
+    }
+
+    const update = {
+      $setOnInsert: { type, thread, conversation },
+      $inc: { count: 1 }
+    };
+    if (reply) {
+      update.$set = { reply };
+    }
+    if (actor) {
+      update.$addToSet = { actors: actor };
+    }
+
+    const group = { recipient, groupKey, isRead: false };
+    const filter = distinctActors && actor ? { ...group, actors: { $ne: actor } } : group;
+
+    try {
+      return await Notification.findOneAndUpdate(filter, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+    } catch (error) {
+      // The unique index on unread groups refused a second group: another
+      // request created it first, or the actor is already in it
+      if (error.code !== 11000) {
+        throw error;
+      }
+      const merged = await Notification.findOneAndUpdate(filter, update, { new: true });
+      return merged || await Notification.findOne(group);
+    }
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+// Tell the thread author and the parent reply author about a new reply
+const notifyReply = async ({ thread, reply, parentReply, actor }) => {
+  if (parentReply) {
+    await notify({
+      recipient: parentReply.author,
+      actor,
+      type: 'reply',
+      thread: thread._id,
+      reply: reply._id,
+      groupKey: `reply:reply:${parentReply._id}`
+    });
+
+    // The thread author already heard about it if they wrote the parent reply
+    if (parentReply.author.toString() === thread.author.toString()) {
+      return;
+    }
+  }
+
+  await notify({
+    recipient: thread.author,
+    actor,
+    type: 'reply',
+    thread: thread._id,
+    reply: reply._id,
+    groupKey: `reply:thread:${thread._id}`
+  });
+};
+
+// Tell an author about a new upvote on their thread or reply
+const notifyVote = async ({ thread, reply, actor }) => {
+  const target = reply || thread;
+
+  await notify({
+    recipient: target.author,
+    actor,
+    type: 'vote',
+    thread: thread._id,
+    reply: reply ? reply._id : undefined,
+    groupKey: reply ? `vote:reply:${reply._id}` : `vote:thread:${thread._id}`,
+    distinctActors: true
+  });
+};
+
+// Tell an author that a moderator or admin acted on their content
+const notifyModeration = async ({ recipient, actor, thread, reply, message }) => {
+  await notify({
+    recipient,
+    actor,
+    type: 'moderation',
+    thread,
+    reply,
+    message
+  });
+};
+
+// Tell a user they earned a badge
+const notifyBadge = async ({ recipient, badge }) => {
+  await notify({
+    recipient,
+    type: 'badge',
+    message: `You earned the "${badge.name}" badge`
+  });
+};
+
+// Tell the author of a reply that it was accepted as the answer to a question
+const notifyAcceptedAnswer = async ({ thread, reply, actor }) => {
+  await notify({
+    recipient: reply.author,
+    actor,
+    type: 'answer',
+    thread: thread._id,
+    reply: reply._id,
+    message: `Your reply was accepted as the answer to "${thread.title}"`
+  });
+};
+
+// Tell a conversation participant about a new private message
+const notifyMessage = async ({ recipient, conversation, actor }) => {
+  await notify({
+    recipient,
+    actor,
+    type: 'message',
+    conversation: conversation._id,
+    groupKey: `message:${conversation._id}`
+  });
+};
+
+// Human readable summary, e.g. "5 new replies on "Thread title""
+const summarizeNotification = (notification) => {
+  const title = notification.thread && notification.thread.title
+    ? `"${notification.thread.title}"`
+    : 'a thread';
+  const [firstActor] = notification.actors || [];
+  const actorName = firstActor && firstActor.username ? firstActor.username : 'Someone';
+  const count = notification.count;
+  const onReply = notification.groupKey && notification.groupKey.includes(':reply:');
+
+  switch (notification.type) {
+    case 'reply':
+      if (onReply) {
+        return count > 1
+          ? `${count} new replies to your reply in ${title}`
+          : `${actorName} replied to your reply in ${title}`;
+      }
+      return count > 1 ? `${count} new replies on ${title}` : `${actorName} replied to ${title}`;
+    case 'vote':
+      if (onReply) {
+        return count > 1
+          ? `${count} new upvotes on your reply in ${title}`
+          : `${actorName} upvoted your reply in ${title}`;
+      }
+      return count > 1 ? `${count} new upvotes on ${title}` : `${actorName} upvoted ${title}`;
+    case 'mention':
+      return `${actorName} mentioned you in ${title}`;
+    case 'message':
+      return count > 1 ? `${count} new messages in a conversation` : `${actorName} sent you a message`;
+    default:
+      return notification.message || 'You have a new notification';
+  }
+};
+
+module.exports = {
+  notify,
+  notifyReply,
+  notifyVote,
+  notifyModeration,
+  notifyBadge,
+  notifyAcceptedAnswer,
+  notifyMessage,
+  summarizeNotification
+};
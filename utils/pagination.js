@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Opaque cursors for keyset pagination over (createdAt, _id)
+const encodeCursor = (doc) => {
+  return Buffer.from(JSON.stringify({
+    createdAt: new Date(doc.createdAt).toISOString(),
+    id: doc._id.toString()
+  })).toString('base64url');
+};
+
+// Returns null when the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+
+    if (isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query condition for documents after the cursor, in ascending or descending order
+const cursorCondition = (cursor, direction = 1) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorCondition
+};
@@ -0,0 +1,109 @@
+const Thread = require('../models/Thread');
+const PollBallot = require('../models/PollBallot');
+
+// Raised for ballots that cannot be counted; routes answer with its status
+class PollError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PollError';
+    this.status = status;
+  }
+}
+
+// Turn validated request input into the poll stored on a thread
+const buildPoll = (input) => {
+  if (!input) {
+    return null;
+  }
+
+  return {
+    question: input.question,
+    options: input.options.map(text => ({ text })),
+    allowMultiple: Boolean(input.allowMultiple),
+    showResultsBeforeVoting: input.showResultsBeforeVoting !== false,
+    closesAt: input.closesAt ? new Date(input.closesAt) : null
+  };
+};
+
+const isPollClosed = (poll, now = new Date()) => Boolean(poll.closesAt && poll.closesAt <= now);
+
+// The user's ballot in a thread's poll, or null
+const findBallot = (threadId, user) => {
+  if (!user) {
+    return null;
+  }
+  return PollBallot.findOne({ thread: threadId, user: user._id });
+};
+
+// Poll state for API responses. Tallies are null while they are hidden from
+// this user, i.e. before they vote on a poll that hides results until then.
+const formatPoll = (poll, ballot = null) => {
+  const isClosed = isPollClosed(poll);
+  const showResults = poll.showResultsBeforeVoting || isClosed || Boolean(ballot);
+
+  return {
+    question: poll.question,
+    options: poll.options.map(option => ({
+      id: option._id,
+      text: option.text,
+      votes: showResults ? option.votes : null
+    })),
+    allowMultiple: poll.allowMultiple,
+    showResultsBeforeVoting: poll.showResultsBeforeVoting,
+    closesAt: poll.closesAt,
+    isClosed,
+    totalBallots: showResults ? poll.totalBallots : null,
+    userBallot: ballot ? ballot.choices : null
+  };
+};
+
+// Record a user's one ballot and update the tallies. Returns the thread's
+// updated poll and the ballot.
+const castBallot = async (thread, user, optionIds) => {
+  const { poll } = thread;
+
+  if (isPollClosed(poll)) {
+    throw new PollError('Poll is closed');
+  }
+
+  const choices = [...new Set(optionIds.map(String))];
+  if (!poll.allowMultiple && choices.length !== 1) {
+    throw new PollError('Choose exactly one option');
+  }
+
+  const validIds = poll.options.map(option => option._id.toString());
+  if (choices.some(id => !validIds.includes(id))) {
+    throw new PollError('Unknown poll option');
+  }
+
+  let ballot;
+  try {
+    ballot = await PollBallot.create({ thread: thread._id, user: user._id, choices });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new PollError('You have already voted in this poll');
+    }
+    throw error;
+  }
+
+  const updated = await Thread.findOneAndUpdate(
+    { _id: thread._id },
+    { $inc: { 'poll.totalBallots': 1, 'poll.options.$[option].votes': 1 } },
+    {
+      arrayFilters: [{ 'option._id': { $in: ballot.choices } }],
+      new: true,
+      projection: { poll: 1 }
+    }
+  );
+
+  return { poll: updated.poll, ballot };
+};
+
+module.exports = {
+  PollError,
+  buildPoll,
+  isPollClosed,
+  findBallot,
+  formatPoll,
+  castBallot
+};
@@ -0,0 +1,37 @@
+// Reputation needed for each privilege. Override with the environment
+// variable named next to it.
+const PRIVILEGES = {
+  downvote: { env: 'PRIVILEGE_DOWNVOTE_REPUTATION', reputation: 50, description: 'downvote' },
+  createTag: { env: 'PRIVILEGE_CREATE_TAG_REPUTATION', reputation: 100, description: 'create new tags' }
+};
+
+// Moderators and admins have every privilege regardless of reputation
+const EXEMPT_ROLES = ['moderator', 'admin'];
+
+const getThreshold = (privilege) => {
+  const { env, reputation } = PRIVILEGES[privilege];
+  const configured = parseInt(process.env[env]);
+  return isNaN(configured) ? reputation : configured;
+};
+
+const getThresholds = () => {
+  return Object.keys(PRIVILEGES).reduce((thresholds, privilege) => {
+    thresholds[privilege] = getThreshold(privilege);
+    return thresholds;
+  }, {});
+};
+
+const hasPrivilege = (user, privilege) => {
+  return EXEMPT_ROLES.includes(user.role) || user.reputation >= getThreshold(privilege);
+};
+
+const privilegeMessage = (privilege) => {
+  return `You need ${getThreshold(privilege)} reputation to ${PRIVILEGES[privilege].description}`;
+};
+
+module.exports = {
+  getThreshold,
+  getThresholds,
+  hasPrivilege,
+  privilegeMessage
+};
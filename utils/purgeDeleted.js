@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { purgeDeletedContent } = require('./content');
+
+// Purge threads and replies that have been in the trash longer than
+// TRASH_RETENTION_DAYS days (default 30)
+const runPurge = async () => {
+  const retentionDays = process.env.TRASH_RETENTION_DAYS !== undefined
+    ? parseInt(process.env.TRASH_RETENTION_DAYS)
+    : 30;
+
+  if (isNaN(retentionDays) || retentionDays < 0) {
+    throw new Error('TRASH_RETENTION_DAYS must be a non-negative number');
+  }
+
+  const { threads, replies, scrubbed } = await purgeDeletedContent(retentionDays);
+
+  console.log(`Purged ${threads} deleted threads`);
+  console.log(`Purged ${replies} deleted replies`);
+  console.log(`Cleared the content of ${scrubbed} deleted replies kept as placeholders`);
+  return { threads, replies, scrubbed };
+};
+
+module.exports = runPurge;
+
+// Run from a scheduler, e.g. daily from cron
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return runPurge();
+  })
+  .then(() => {
+    console.log('Trash purge completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Trash purge failed:', err);
+    process.exit(1);
+  });
+}
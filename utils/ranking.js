@@ -0,0 +1,47 @@
+// Ranking helpers used to keep stored sort keys on voted documents in sync
+
+// Seconds between 1 Jan 2024 and the Unix epoch, used as the zero point for hot scores
+const HOT_EPOCH = 1704067200;
+
+// Seconds of age that weigh as much as a tenfold change in score
+const HOT_DECAY = 45000;
+
+// Score decayed by age: newer content needs fewer votes to rank the same
+const hotScore = (upvotes, downvotes, createdAt) => {
+  const score = upvotes - downvotes;
+  const order = Math.log10(Math.max(Math.abs(score), 1));
+  const sign = score > 0 ? 1 : score < 0 ? -1 : 0;
+  const seconds = new Date(createdAt).getTime() / 1000 - HOT_EPOCH;
+  return Number((sign * order + seconds / HOT_DECAY).toFixed(7));
+};
+
+// High when there are many votes split close to evenly between up and down
+const controversyScore = (upvotes, downvotes) => {
+  if (upvotes <= 0 || downvotes <= 0) {
+    return 0;
+  }
+
+  const magnitude = upvotes + downvotes;
+  const balance = upvotes > downvotes ? downvotes / upvotes : upvotes / downvotes;
+  return Math.pow(magnitude, balance);
+};
+
+// Start dates for the `top` sort time windows
+const TOP_PERIODS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+const getPeriodStart = (period) => {
+  const duration = TOP_PERIODS[period];
+  return duration ? new Date(Date.now() - duration) : null;
+};
+
+module.exports = {
+  hotScore,
+  controversyScore,
+  getPeriodStart,
+  TOP_PERIODS
+};
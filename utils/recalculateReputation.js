@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ensureBaseline, syncReputation } = require('./reputation');
+
+// Rebuild every user's reputation from the reputation ledger
+const recalculateReputation = async () => {
+  console.log('Recalculating reputation...');
+
+  let users = 0;
+  let changed = 0;
+  const cursor = User.find({}).select('reputation').cursor();
+
+  for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+    await ensureBaseline(user._id);
+    const reputation = await syncReputation(user._id);
+    if (reputation !== user.reputation) {
+      changed += 1;
+    }
+    users += 1;
+  }
+
+  console.log(`Recalculated reputation for ${users} users (${changed} changed)`);
+  return { users, changed };
+};
+
+module.exports = recalculateReputation;
+
+// Run recalculation if this file is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return recalculateReputation();
+  })
+  .then(() => {
+    console.log('Recalculation completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Recalculation failed:', err);
+    process.exit(1);
+  });
+}
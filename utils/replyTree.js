@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const Reply = require('../models/Reply');
+const { encodeCursor, cursorCondition } = require('./pagination');
+const { formatMentions } = require('./mentions');
+const { renderMarkdown } = require('./markdown');
+const { getReplyAttachments } = require('./attachments');
+const { isFilteredAuthor } = require('./blocks');
+
+const REPLY_AUTHOR_FIELDS = 'username avatar reputation role';
+
+// Shown in place of a deleted reply that still has nested replies under it
+const DELETED_PLACEHOLDER = '[deleted]';
+
+// Shown in place of a blocked user's reply that has nested replies under it
+const HIDDEN_PLACEHOLDER = '[hidden]';
+
+const isSameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+// Format raw reply documents (with `children` attached) for API responses.
+// `acceptedAnswer` is the thread's accepted answer id, if any. `filters` are the
+// user's blocked and muted authors from getUserFilters: replies by blocked users
+// are left out, or replaced by a placeholder when they have nested replies, and
+// replies by muted users are marked collapsed.
+const processReplies = (replies, user, { acceptedAnswer = null, filters = null } = {}) => {
+  const options = { acceptedAnswer, filters };
+
+  return replies.map(reply => {
+    const isHidden = !reply.isDeleted && isFilteredAuthor(filters && filters.blocked, reply.author);
+    if (isHidden && reply.replyCount === 0) {
+      return null;
+    }
+
+    if (reply.isDeleted || isHidden) {
+      const placeholder = isHidden ? HIDDEN_PLACEHOLDER : DELETED_PLACEHOLDER;
+      return {
+        id: reply._id,
+        content: placeholder,
+        contentHtml: renderMarkdown(placeholder),
+        mentions: [],
+        author: null,
+        attachments: [],
+        isDeleted: Boolean(reply.isDeleted),
+        isHidden,
+        isCollapsed: false,
+        isAccepted: false,
+        voteScore: 0,
+        userVote: null,
+        parentReply: reply.parentReply,
+        depth: reply.depth,
+        replyCount: reply.replyCount,
+        replies: processReplies(reply.children || [], user, options),
+        hasMoreReplies: Boolean(reply.hasMoreReplies),
+        repliesCursor: reply.repliesCursor || null,
+        isEdited: false,
+        editedAt: null,
+        createdAt: reply.createdAt
+      };
+    }
+
+    let replyUserVote = null;
+    if (user) {
+      const vote = reply.votes.find(v => v.user.toString() === user._id.toString());
+      replyUserVote = vote ? vote.type : null;
+    }
+
+    return {
+      id: reply._id,
+      content: reply.content,
+      contentHtml: renderMarkdown(reply.content),
+      mentions: formatMentions(reply.mentions),
+      author: reply.author,
+      attachments: reply.attachments || [],
+      isDeleted: false,
+      isHidden: false,
+      isCollapsed: isFilteredAuthor(filters && filters.muted, reply.author),
+      isAccepted: isSameId(reply._id, acceptedAnswer),
+      voteScore: reply.voteScore,
+      userVote: replyUserVote,
+      parentReply: reply.parentReply,
+      depth: reply.depth,
+      replyCount: reply.replyCount,
+      replies: processReplies(reply.children || [], user, options),
+      hasMoreReplies: Boolean(reply.hasMoreReplies),
+      repliesCursor: reply.repliesCursor || null,
+      isEdited: reply.isEdited,
+      editedAt: reply.editedAt,
+      createdAt: reply.createdAt
+    };
+  }).filter(Boolean);
+};
+
+// Query condition leaving out replies by blocked authors that have nothing
+// nested under them, or null when nothing is blocked. Blocked replies with
+// nested replies stay so processReplies can show them as placeholders.
+const excludeHidden = (filters) => {
+  if (!filters || filters.blocked.size === 0) {
+    return null;
+  }
+
+  const blocked = [...filters.blocked].map(id => new mongoose.Types.ObjectId(id));
+  return { $nor: [{ author: { $in: blocked }, replyCount: 0, isDeleted: { $ne: true } }] };
+};
+
+// Load up to `childLimit` children for each parent, oldest first.
+// Marks parents whose children did not all fit so clients can load more.
+const attachChildren = async (parents, childLimit, filters = null) => {
+  const withChildren = parents.filter(reply => reply.replyCount > 0);
+  parents.forEach(reply => { reply.children = []; });
+
+  if (withChildren.length === 0) {
+    return [];
+  }
+
+  const groups = await Reply.aggregate([
+    { $match: { parentReply: { $in: withChildren.map(reply => reply._id) }, ...excludeHidden(filters) } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: '$parentReply', replies: { $push: '$$ROOT' } } },
+    { $project: { replies: { $slice: ['$replies', childLimit + 1] } } }
+  ]);
+
+  const childrenByParent = new Map(groups.map(group => [group._id.toString(), group.replies]));
+  const loaded = [];
+
+  for (const parent of withChildren) {
+    const children = childrenByParent.get(parent._id.toString()) || [];
+    parent.children = children.slice(0, childLimit);
+    if (children.length > childLimit) {
+      parent.hasMoreReplies = true;
+      parent.repliesCursor = encodeCursor(parent.children[parent.children.length - 1]);
+    }
+    loaded.push(...parent.children);
+  }
+
+  return loaded;
+};
+
+// Load one page of replies under `parentId` (top level when null) with up to
+// `depth` levels of nested children. `filters` from getUserFilters leave out
+// the viewer's blocked authors, so pages stay full.
+const loadReplyPage = async ({
+  threadId,
+  parentId = null,
+  cursor = null,
+  limit = 20,
+  depth = 3,
+  childLimit = 5,
+  filters = null
+}) => {
+  const query = { thread: threadId, parentReply: parentId, ...excludeHidden(filters) };
+  if (cursor) {
+    Object.assign(query, cursorCondition(cursor));
+  }
+
+  const page = await Reply.find(query)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = page.length > limit;
+  const replies = page.slice(0, limit);
+
+  let level = replies;
+  for (let i = 1; i < depth && level.length > 0; i++) {
+    level = await attachChildren(level, childLimit, filters);
+  }
+
+  // Leaves at the depth limit still report their unloaded children
+  level.forEach(reply => {
+    if (reply.replyCount > 0 && !reply.children) {
+      reply.hasMoreReplies = true;
+    }
+  });
+
+  const all = [];
+  const collect = (nodes) => nodes.forEach(node => {
+    all.push(node);
+    collect(node.children || []);
+  });
+  collect(replies);
+  await Reply.populate(all, [
+    { path: 'author', select: REPLY_AUTHOR_FIELDS },
+    { path: 'mentions.user', select: 'username' }
+  ]);
+
+  const attachments = await getReplyAttachments(all.filter(reply => !reply.isDeleted).map(reply => reply._id));
+  all.forEach(reply => {
+    reply.attachments = attachments.get(reply._id.toString()) || [];
+  });
+
+  return {
+    replies,
+    nextCursor: hasMore ? encodeCursor(replies[replies.length - 1]) : null
+  };
+};
+
+// Load a single reply without its children, e.g. the accepted answer shown
+// under a question. Returns null for missing or deleted replies.
+const loadReply = async (replyId) => {
+  const reply = await Reply.findById(replyId).notDeleted()
+    .populate('author', REPLY_AUTHOR_FIELDS)
+    .populate('mentions.user', 'username')
+    .lean();
+  if (!reply) {
+    return null;
+  }
+
+  const attachments = await getReplyAttachments([reply._id]);
+  reply.attachments = attachments.get(reply._id.toString()) || [];
+  reply.hasMoreReplies = reply.replyCount > 0;
+  return reply;
+};
+
+module.exports = {
+  processReplies,
+  loadReplyPage,
+  loadReply,
+  REPLY_AUTHOR_FIELDS
+};
@@ -0,0 +1,33 @@
+const Report = require('../models/Report');
+
+// Add a user's report to the open queue entry for a thread or reply, creating
+// the entry if needed. Returns { report, duplicate } where duplicate means the
+// user had already reported this content.
+const fileReport = async ({ thread, reply = null, reporter, reason, details = '' }) => {
+  const target = { thread: thread._id, reply: reply ? reply._id : null, status: 'open' };
+
+  const existing = await Report.findOne({ ...target, 'reports.reporter': reporter });
+  if (existing) {
+    return { report: existing, duplicate: true };
+  }
+
+  const report = await Report.findOneAndUpdate(
+    target,
+    {
+      $setOnInsert: {
+        targetType: reply ? 'reply' : 'thread',
+        category: thread.category,
+        contentAuthor: reply ? reply.author : thread.author
+      },
+      $push: { reports: { reporter, reason, details, createdAt: new Date() } },
+      $inc: { reportCount: 1 }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return { report, duplicate: false };
+};
+
+module.exports = {
+  fileReport
+};
@@ -0,0 +1,81 @@
+const ReputationEvent = require('../models/ReputationEvent');
+const User = require('../models/User');
+
+// Describe a vote change for the ledger from the voter's vote before and after
+const voteReason = (previous, current) => {
+  if (!previous) {
+    return current;
+  }
+  if (!current) {
+    return `${previous}.removed`;
+  }
+  return `${current}.changed`;
+};
+
+// Users who had reputation before the ledger existed get it recorded as a
+// baseline event, so recalculating from the ledger does not lose it
+const ensureBaseline = async (userId) => {
+  if (await ReputationEvent.exists({ user: userId })) {
+    return;
+  }
+
+  const user = await User.findById(userId).select('reputation');
+  if (!user || !user.reputation) {
+    return;
+  }
+
+  await ReputationEvent.create({
+    user: userId,
+    source: 'baseline',
+    amount: user.reputation,
+    reason: 'baseline'
+  });
+};
+
+// Sum of a user's ledger entries
+const calculateReputation = async (userId) => {
+  const [result = { total: 0 }] = await ReputationEvent.aggregate([
+    { $match: { user: userId } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return Math.max(0, result.total);
+};
+
+// Store a user's reputation as calculated from the ledger
+const syncReputation = async (userId) => {
+  const reputation = await calculateReputation(userId);
+  await User.updateOne({ _id: userId }, { $set: { reputation } });
+  return reputation;
+};
+
+// Add an event to the ledger and update the user's stored reputation
+const recordReputationEvent = async ({ user, source, actor = null, postType = null, post = null, amount, reason }) => {
+  if (!amount) {
+    return null;
+  }
+
+  await ensureBaseline(user);
+  await ReputationEvent.create({ user, source, actor, postType, post, amount, reason });
+  return syncReputation(user);
+};
+
+// Record the reputation change for a post's author after a vote on it
+const recordVote = ({ post, postType, voter, previous, current, amount }) => {
+  return recordReputationEvent({
+    user: post.author,
+    source: 'vote',
+    actor: voter,
+    postType,
+    post: post._id,
+    amount,
+    reason: voteReason(previous, current)
+  });
+};
+
+module.exports = {
+  ensureBaseline,
+  calculateReputation,
+  syncReputation,
+  recordReputationEvent,
+  recordVote
+};
@@ -0,0 +1,163 @@
+const { diffLines } = require('diff');
+const Revision = require('../models/Revision');
+
+// Revisions of a thread are stored with reply: null, so { thread, reply }
+// identifies the history of either kind of post
+const historyFilter = (targetType, post) => (
+  targetType === 'thread'
+    ? { thread: post._id, reply: null }
+    : { thread: post.thread, reply: post._id }
+);
+
+// Attempts at taking the next revision number before giving up
+const MAX_REVISION_ATTEMPTS = 5;
+
+// Store the current title and content of a post as its next revision. Two
+// concurrent edits can read the same latest number; the unique index rejects
+// the second insert, which then retries with the next number.
+const recordRevision = async (targetType, post, { editor, action = 'edit', restoredFrom = null, createdAt = new Date() }) => {
+  const filter = historyFilter(targetType, post);
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await Revision.findOne(filter).sort({ revision: -1 }).select('revision');
+
+    try {
+      return await Revision.create({
+        ...filter,
+        targetType,
+        revision: latest ? latest.revision + 1 : 1,
+        title: targetType === 'thread' ? post.title : undefined,
+        content: post.content,
+        editor,
+        action,
+        restoredFrom,
+        createdAt
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Revision 1 of a post written before revisions were tracked: its content as it is now
+const initialRevision = (targetType, post) => ({
+  ...historyFilter(targetType, post),
+  targetType,
+  revision: 1,
+  title: targetType === 'thread' ? post.title : undefined,
+  content: post.content,
+  editor: post.author,
+  action: 'create',
+  createdAt: post.editedAt || post.createdAt
+});
+
+// Posts written before revisions were tracked have no history yet. Call this
+// before changing such a post so its original content becomes revision 1.
+const ensureInitialRevision = async (targetType, post) => {
+  if (await Revision.exists(historyFilter(targetType, post))) {
+    return;
+  }
+
+  try {
+    await Revision.create(initialRevision(targetType, post));
+  } catch (error) {
+    // A concurrent request stored it first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+// Every revision of a post, oldest first. A post without stored history gets
+// its revision 1 built in memory, so reading history never writes.
+const getRevisions = async (targetType, post) => {
+  const revisions = await Revision.find(historyFilter(targetType, post))
+    .populate('editor', 'username avatar role')
+    .sort({ revision: 1 });
+
+  if (revisions.length > 0) {
+    return revisions;
+  }
+
+  const initial = new Revision(initialRevision(targetType, post));
+  await initial.populate('editor', 'username avatar role');
+  return [initial];
+};
+
+const splitLines = (value) => value.replace(/\n$/, '').split('\n');
+
+// Without a final newline the last line would never match its edited counterpart
+const endWithNewline = (value) => (value.endsWith('\n') ? value : `${value}\n`);
+
+const findRevision = async (targetType, post, revision) => {
+  if (!Number.isInteger(revision)) {
+    return null;
+  }
+  return Revision.findOne({ ...historyFilter(targetType, post), revision });
+};
+
+// Line-level diff between two revisions
+const diffRevisions = (from, to) => {
+  const changes = diffLines(endWithNewline(from.content), endWithNewline(to.content)).map(part => ({
+    type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+    lines: splitLines(part.value)
+  }));
+
+  const count = (type) => changes
+    .filter(change => change.type === type)
+    .reduce((total, change) => total + change.lines.length, 0);
+
+  return {
+    from: from.revision,
+    to: to.revision,
+    title: from.title !== to.title ? { from: from.title, to: to.title } : null,
+    changes,
+    added: count('added'),
+    removed: count('removed')
+  };
+};
+
+const formatRevision = (revision) => ({
+  revision: revision.revision,
+  title: revision.title,
+  content: revision.content,
+  editor: revision.editor,
+  action: revision.action,
+  restoredFrom: revision.restoredFrom,
+  createdAt: revision.createdAt
+});
+
+// Build the response for GET .../revisions: the full history, plus a diff
+// when `from` is given (`to` defaults to the latest revision)
+const buildRevisionHistory = (revisions, { from, to }) => {
+  let diff = null;
+
+  if (from !== undefined || to !== undefined) {
+    const fromRevision = revisions.find(revision => revision.revision === parseInt(from));
+    const toRevision = to !== undefined
+      ? revisions.find(revision => revision.revision === parseInt(to))
+      : revisions[revisions.length - 1];
+
+    if (!fromRevision || !toRevision) {
+      return null;
+    }
+
+    diff = diffRevisions(fromRevision, toRevision);
+  }
+
+  return {
+    revisions: revisions.map(formatRevision),
+    diff
+  };
+};
+
+module.exports = {
+  recordRevision,
+  ensureInitialRevision,
+  getRevisions,
+  findRevision,
+  diffRevisions,
+  buildRevisionHistory
+};
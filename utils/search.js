@@ -0,0 +1,65 @@
+// Helpers for full-text search results
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Words to highlight from a search string, ignoring negated terms
+const getSearchTerms = (search) => {
+  const terms = search
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/^"+|"+$/g, '').replace(/[^\w-]/g, ''))
+    .filter(term => term.length > 1);
+
+  return [...new Set(terms.map(term => term.toLowerCase()))];
+};
+
+// Build an HTML-escaped excerpt around the first match with matches wrapped in <mark>.
+// Terms match at word starts so stemmed forms ("running" for "run") are highlighted too.
+const highlight = (text, terms, length = 200) => {
+  if (!text) {
+    return '';
+  }
+
+  const pattern = terms.length > 0
+    ? new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi')
+    : null;
+
+  let start = 0;
+  if (pattern) {
+    const match = pattern.exec(text);
+    pattern.lastIndex = 0;
+    if (match) {
+      start = Math.max(0, match.index - Math.floor(length / 4));
+    }
+  }
+
+  const end = Math.min(text.length, start + length);
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+
+  // Match on the raw text and escape afterwards, so terms never match inside entities
+  let snippet = '';
+  let last = 0;
+  if (pattern) {
+    for (const match of excerpt.matchAll(pattern)) {
+      snippet += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+  }
+  snippet += escapeHtml(excerpt.slice(last));
+
+  return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+};
+
+module.exports = {
+  escapeRegex,
+  escapeHtml,
+  getSearchTerms,
+  highlight
+};
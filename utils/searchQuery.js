@@ -0,0 +1,200 @@
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const Category = require('../models/Category');
+const { escapeRegex } = require('./search');
+const { activePinFilter } = require('./threadModeration');
+
+// Raised for tokens that cannot be turned into a filter; routes answer with 400
+class SearchQueryError extends Error {
+  constructor(message, token) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.token = token;
+  }
+}
+
+const OPERATORS = ['author', 'tag', 'category', 'before', 'after', 'score', 'is'];
+const IS_VALUES = {
+  locked: { isLocked: true },
+  unlocked: { isLocked: false },
+  pinned: { isPinned: true },
+  unpinned: { isPinned: false },
+  solved: { isQuestion: true, isSolved: true },
+  unsolved: { isQuestion: true, isSolved: false }
+};
+
+// operator:value, operator:"quoted value", "exact phrase", or a plain word
+const TOKEN_PATTERN = /(-?)([a-zA-Z]+):("[^"]*"|\S+)|(-?)"([^"]*)"|(\S+)/g;
+
+const unquote = (value) => value.replace(/^"|"$/g, '');
+
+const parseDate = (value, token) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+    throw new SearchQueryError(`Invalid date in "${token}". Use YYYY-MM-DD`, token);
+  }
+  return new Date(value);
+};
+
+const parseScore = (value, token) => {
+  const match = /^(>=|<=|>|<|=)?(-?\d+)$/.exec(value);
+  if (!match) {
+    throw new SearchQueryError(`Invalid score in "${token}". Use forms like score:>5 or score:<=0`, token);
+  }
+
+  const number = parseInt(match[2], 10);
+  switch (match[1]) {
+    case '>': return { $gt: number };
+    case '>=': return { $gte: number };
+    case '<': return { $lt: number };
+    case '<=': return { $lte: number };
+    default: return { $eq: number };
+  }
+};
+
+// Split a query like `tag:react author:john_dev score:>5 "exact phrase"` into
+// free text for the text index and a list of operator tokens
+const parseSearchQuery = (input) => {
+  const textParts = [];
+  const operators = [];
+
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    const [token, negated, key, rawValue, phraseNegated, phrase, word] = match;
+
+    if (key !== undefined) {
+      const name = key.toLowerCase();
+      const value = unquote(rawValue);
+
+      if (!OPERATORS.includes(name)) {
+        throw new SearchQueryError(`Unknown search operator in "${token}"`, token);
+      }
+      if (!value) {
+        throw new SearchQueryError(`Missing value in "${token}"`, token);
+      }
+      if (negated && !['author', 'tag', 'category'].includes(name)) {
+        throw new SearchQueryError(`"${name}:" cannot be negated in "${token}"`, token);
+      }
+
+      operators.push({ name, value, negated: Boolean(negated), token });
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) {
+        textParts.push(`${phraseNegated}"${phrase.trim()}"`);
+      }
+    } else {
+      textParts.push(word);
+    }
+  }
+
+  return { text: textParts.join(' '), operators };
+};
+
+// Merge query operators into a field's condition. With a `token`, an operator
+// the field already has with a different value is reported as a conflict
+// instead of silently replacing it (e.g. `score:5 score:6`).
+const addCondition = (filter, field, condition, token = null) => {
+  const existing = filter[field] || {};
+
+  if (token) {
+    Object.entries(condition).forEach(([operator, value]) => {
+      if (operator in existing && String(existing[operator]) !== String(value)) {
+        throw new SearchQueryError(`Conflicting search operators in "${token}"`, token);
+      }
+    });
+  }
+
+  filter[field] = { ...existing, ...condition };
+};
+
+// Turn parsed operators into a MongoDB filter over Thread fields, looking up
+// usernames, tag names and category names
+const buildSearchFilter = async ({ operators }) => {
+  const filter = {};
+  const include = { author: [], tag: [], category: [] };
+  const exclude = { author: [], tag: [], category: [] };
+
+  for (const { name, value, negated, token } of operators) {
+    switch (name) {
+      case 'author': {
+        const user = await User.findOne({
+          username: { $regex: `^${escapeRegex(value)}$`, $options: 'i' }
+        }).select('_id');
+        if (!user) {
+          throw new SearchQueryError(`Unknown user in "${token}"`, token);
+        }
+        (negated ? exclude : include).author.push(user._id);
+        break;
+      }
+      case 'tag': {
+        const tag = await Tag.findOne({ name: value.toLowerCase() }).select('_id');
+        if (!tag) {
+          throw new SearchQueryError(`Unknown tag in "${token}"`, token);
+        }
+        (negated ? exclude : include).tag.push(tag._id);
+        break;
+      }
+      case 'category': {
+        const category = await Category.findOne({
+          name: { $regex: `^${escapeRegex(value)}$`, $options: 'i' }
+        }).select('_id');
+        if (!category) {
+          throw new SearchQueryError(`Unknown category in "${token}"`, token);
+        }
+        (negated ? exclude : include).category.push(category._id);
+        break;
+      }
+      case 'before':
+        addCondition(filter, 'createdAt', { $lt: parseDate(value, token) }, token);
+        break;
+      case 'after':
+        addCondition(filter, 'createdAt', { $gt: parseDate(value, token) }, token);
+        break;
+      case 'score':
+        addCondition(filter, 'voteScore', parseScore(value, token), token);
+        break;
+      case 'is': {
+        const flag = IS_VALUES[value.toLowerCase()];
+        if (!flag) {
+          throw new SearchQueryError(
+            `Unknown value in "${token}". Use one of: ${Object.keys(IS_VALUES).map(v => `is:${v}`).join(', ')}`,
+            token
+          );
+        }
+        Object.entries(flag).forEach(([field, flagValue]) => {
+          if (field in filter && filter[field] !== flagValue) {
+            throw new SearchQueryError(`Conflicting search operators in "${token}"`, token);
+          }
+          filter[field] = flagValue;
+        });
+        break;
+      }
+    }
+  }
+
+  // Expired pins count as unpinned until the maintenance job clears them
+  if ('isPinned' in filter) {
+    filter[filter.isPinned ? '$and' : '$nor'] = [activePinFilter()];
+    delete filter.isPinned;
+  }
+
+  if (include.author.length > 0) addCondition(filter, 'author', { $in: include.author });
+  if (exclude.author.length > 0) addCondition(filter, 'author', { $nin: exclude.author });
+  if (include.tag.length > 0) addCondition(filter, 'tags', { $all: include.tag });
+  if (exclude.tag.length > 0) addCondition(filter, 'tags', { $nin: exclude.tag });
+  if (include.category.length > 0) addCondition(filter, 'category', { $in: include.category });
+  if (exclude.category.length > 0) addCondition(filter, 'category', { $nin: exclude.category });
+
+  return filter;
+};
+
+// Parse a search string and resolve it into free text plus a Thread filter
+const resolveSearchQuery = async (input) => {
+  const parsed = parseSearchQuery(input);
+  const filter = await buildSearchFilter(parsed);
+  return { text: parsed.text, filter };
+};
+
+module.exports = {
+  SearchQueryError,
+  parseSearchQuery,
+  buildSearchFilter,
+  resolveSearchQuery
+};
@@ -3,6 +3,7 @@ const User = require('../models/User');
 const Category = require('../models/Category');
 const Tag = require('../models/Tag');
 const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
 
 const seedDatabase = async () => {
   try {
@@ -13,6 +14,7 @@ const seedDatabase = async () => {
     await Category.deleteMany({});
     await Tag.deleteMany({});
     await Thread.deleteMany({});
+    await Reply.deleteMany({});
 
     // Create sample users
     const users = await User.create([
@@ -127,40 +129,6 @@ Any recommendations for folder structures that have worked well for you in produ
           { user: users[2]._id, type: 'upvote' },
           { user: users[3]._id, type: 'upvote' }
         ],
-        replies: [
-          {
-            author: users[2]._id,
-            content: `I've found that organizing by feature works really well for larger applications. Here's the structure I use:
-
-src/
-  features/
-    auth/
-      components/
-      hooks/
-      services/
-    dashboard/
-      components/
-      hooks/
-      services/
-  shared/
-    components/
-    hooks/
-    utils/
-
-This way, everything related to a specific feature is co-located, making it easier to find and maintain.`,
-            votes: [
-              { user: users[1]._id, type: 'upvote' },
-              { user: users[3]._id, type: 'upvote' }
-            ],
-            replies: [
-              {
-                author: users[1]._id,
-                content: 'This looks great! Do you have any naming conventions for the component files within each feature?',
-                votes: []
-              }
-            ]
-          }
-        ],
         views: 45
       },
       {
@@ -179,25 +147,6 @@ Also, how long did it take you to make this transition, and what challenges shou
           { user: users[1]._id, type: 'upvote' },
           { user: users[2]._id, type: 'upvote' }
         ],
-        replies: [
-          {
-            author: users[1]._id,
-            content: `Great question! I made this transition about a year ago. Here's what worked for me:
-
-1. Start with Node.js basics - since you already know JavaScript, this will feel familiar
-2. Learn Express.js for building APIs
-3. Get comfortable with databases (I started with MongoDB since it's JSON-like)
-4. Build a few full-stack projects to tie everything together
-
-The key is to build projects that connect frontend and backend. Start small - maybe a todo app with user authentication, then gradually add more complex features.
-
-It took me about 6 months of consistent learning (2-3 hours daily) to feel confident applying for full-stack positions.`,
-            votes: [
-              { user: users[3]._id, type: 'upvote' },
-              { user: users[2]._id, type: 'upvote' }
-            ]
-          }
-        ],
         views: 78
       },
       {
@@ -213,13 +162,76 @@ Bonus points if you can show examples that I might encounter in React or Node.js
         votes: [
           { user: users[1]._id, type: 'upvote' }
         ],
-        replies: [],
         views: 23
       }
     ]);
 
     console.log('Created sample threads');
 
+    // Create replies
+    const [reactThread, careerThread] = threads;
+
+    const structureReply = await Reply.create({
+      thread: reactThread._id,
+      author: users[2]._id,
+      content: `I've found that organizing by feature works really well for larger applications. Here's the structure I use:
+
+src/
+  features/
+    auth/
+      components/
+      hooks/
+      services/
+    dashboard/
+      components/
+      hooks/
+      services/
+  shared/
+    components/
+    hooks/
+    utils/
+
+This way, everything related to a specific feature is co-located, making it easier to find and maintain.`,
+      votes: [
+        { user: users[1]._id, type: 'upvote' },
+        { user: users[3]._id, type: 'upvote' }
+      ],
+      replyCount: 1
+    });
+
+    await Reply.create({
+      thread: reactThread._id,
+      author: users[1]._id,
+      content: 'This looks great! Do you have any naming conventions for the component files within each feature?',
+      parentReply: structureReply._id,
+      ancestors: [structureReply._id],
+      depth: 1
+    });
+
+    await Reply.create({
+      thread: careerThread._id,
+      author: users[1]._id,
+      content: `Great question! I made this transition about a year ago. Here's what worked for me:
+
+1. Start with Node.js basics - since you already know JavaScript, this will feel familiar
+2. Learn Express.js for building APIs
+3. Get comfortable with databases (I started with MongoDB since it's JSON-like)
+4. Build a few full-stack projects to tie everything together
+
+The key is to build projects that connect frontend and backend. Start small - maybe a todo app with user authentication, then gradually add more complex features.
+
+It took me about 6 months of consistent learning (2-3 hours daily) to feel confident applying for full-stack positions.`,
+      votes: [
+        { user: users[3]._id, type: 'upvote' },
+        { user: users[2]._id, type: 'upvote' }
+      ]
+    });
+
+    await Thread.findByIdAndUpdate(reactThread._id, { replyCount: 2 });
+    await Thread.findByIdAndUpdate(careerThread._id, { replyCount: 1 });
+
+    console.log('Created sample replies');
+
     // Update tag usage counts
     await Tag.findByIdAndUpdate(reactTag._id, { usageCount: 1 });
     await Tag.findByIdAndUpdate(jsTag._id, { usageCount: 2 });
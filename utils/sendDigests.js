@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const { buildDigest, renderDigest } = require('./digest');
+const { sendMail } = require('./mailer');
+
+const PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Allowance so a job scheduled at the same time every day still picks up yesterday's subscriptions
+const SCHEDULE_SLACK = 60 * 60 * 1000;
+
+// Send one digest per user covering all their subscriptions of the given frequency
+const sendDigests = async (frequency = 'daily') => {
+  if (!PERIODS[frequency]) {
+    throw new Error(`Unknown digest frequency: ${frequency}`);
+  }
+
+  console.log(`Sending ${frequency} digests...`);
+
+  const now = new Date();
+  const due = await Subscription.find({
+    frequency,
+    lastSentAt: { $lte: new Date(now.getTime() - PERIODS[frequency] + SCHEDULE_SLACK) }
+  }).sort({ user: 1 });
+
+  const byUser = new Map();
+  due.forEach(subscription => {
+    const key = subscription.user.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(subscription);
+  });
+
+  let sent = 0;
+  for (const [userId, subscriptions] of byUser) {
+    const user = await User.findById(userId).select('username email isActive isBanned suspendedUntil');
+
+    if (user && user.isAccountActive()) {
+      try {
+        const digest = await buildDigest(user, subscriptions, now);
+        if (digest.total > 0) {
+          await sendMail(renderDigest(digest, frequency));
+          sent += 1;
+        }
+      } catch (error) {
+        console.error(`Digest error for user ${userId}:`, error);
+        continue;
+      }
+    }
+
+    // Move the window forward even when there was nothing to send
+    await Subscription.updateMany(
+      { _id: { $in: subscriptions.map(subscription => subscription._id) } },
+      { $set: { lastSentAt: now } }
+    );
+  }
+
+  console.log(`Sent ${sent} ${frequency} digests`);
+  return sent;
+};
+
+module.exports = sendDigests;
+
+// Run from a scheduler, e.g. `node utils/sendDigests.js weekly`
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return sendDigests(process.argv[2] || 'daily');
+  })
+  .then(() => {
+    console.log('Digests completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Digests failed:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Tokens for links in emails: base64url(JSON payload) + "." + HMAC signature.
+// They are signed per purpose so one kind of link cannot stand in for another,
+// and they are not JWTs so they can never pass as access tokens.
+const getSecret = () => process.env.LINK_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const signature = (purpose, encodedPayload) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${purpose}.${encodedPayload}`)
+    .digest('base64url');
+};
+
+const signToken = (purpose, payload) => {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${signature(purpose, encodedPayload)}`;
+};
+
+// Returns the payload, or null when the token is malformed or the signature does not match
+const verifyToken = (purpose, token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [encodedPayload, providedSignature] = token.split('.');
+  if (!encodedPayload || !providedSignature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(purpose, encodedPayload));
+  const provided = Buffer.from(providedSignature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  signToken,
+  verifyToken
+};
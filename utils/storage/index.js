@@ -0,0 +1,32 @@
+const createLocalStorage = require('./localStorage');
+
+// Backends share one shape: { name, save(key, buffer), createReadStream(key), remove(key) }
+const backends = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+// Chosen with STORAGE_BACKEND; local disk is the only built-in backend
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_BACKEND || 'local';
+    const create = backends[name];
+    if (!create) {
+      throw new Error(`Unknown storage backend: ${name}`);
+    }
+    storage = create();
+  }
+  return storage;
+};
+
+// Replace the backend, e.g. with an object store client
+const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createLocalStorage
+};
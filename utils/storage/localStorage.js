@@ -0,0 +1,33 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Stores files on local disk under UPLOAD_DIR (default: ./uploads)
+const createLocalStorage = (directory = process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads')) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the server, but never let one escape the upload directory
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    save: async (key, buffer) => {
+      const file = resolve(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+      return { key };
+    },
+    createReadStream: (key) => fs.createReadStream(resolve(key)),
+    remove: async (key) => {
+      await fsp.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { expirePins, autoLockInactiveThreads } = require('./threadModeration');
+
+// Unpin expired pins and auto-lock inactive threads.
+// THREAD_AUTO_LOCK_DAYS sets the inactivity period (default 180, 0 disables auto-lock).
+const runThreadMaintenance = async () => {
+  const autoLockDays = process.env.THREAD_AUTO_LOCK_DAYS !== undefined
+    ? parseInt(process.env.THREAD_AUTO_LOCK_DAYS)
+    : 180;
+
+  const unpinned = await expirePins();
+  const locked = await autoLockInactiveThreads(autoLockDays);
+
+  console.log(`Unpinned ${unpinned} threads with expired pins`);
+  console.log(`Auto-locked ${locked} inactive threads`);
+  return { unpinned, locked };
+};
+
+module.exports = runThreadMaintenance;
+
+// Run from a scheduler, e.g. hourly from cron
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return runThreadMaintenance();
+  })
+  .then(() => {
+    console.log('Thread maintenance completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Thread maintenance failed:', err);
+    process.exit(1);
+  });
+}
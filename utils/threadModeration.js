@@ -0,0 +1,80 @@
+const Thread = require('../models/Thread');
+
+// Append an entry to a thread's moderation log (saved with the thread)
+const recordModeration = (thread, { action, moderator = null, reason, details }) => {
+  thread.moderationLog.push({ action, moderator, reason, details, createdAt: new Date() });
+};
+
+const clearPin = (thread) => {
+  thread.isPinned = false;
+  thread.pinScope = null;
+  thread.pinnedGlobally = false;
+  thread.pinExpiresAt = undefined;
+  thread.pinnedBy = undefined;
+  thread.pinnedAt = undefined;
+};
+
+// Whether a thread's pin is still in force. Expired pins are cleared by the
+// maintenance job; until then readers treat them as unpinned.
+const isPinActive = (thread, now = new Date()) => {
+  return Boolean(thread.isPinned && (!thread.pinExpiresAt || thread.pinExpiresAt > now));
+};
+
+// Aggregation expression for the same check on `field` (isPinned or pinnedGlobally)
+const activePinExpression = (field, now = new Date()) => ({
+  $and: [
+    { $eq: [`$${field}`, true] },
+    { $or: [{ $eq: [{ $ifNull: ['$pinExpiresAt', null] }, null] }, { $gt: ['$pinExpiresAt', now] }] }
+  ]
+});
+
+// Query condition for threads whose pin is still in force
+const activePinFilter = (now = new Date()) => ({
+  isPinned: true,
+  $or: [{ pinExpiresAt: null }, { pinExpiresAt: { $gt: now } }]
+});
+
+// Unpin threads whose pin has expired; run by utils/threadMaintenance.js
+const expirePins = async (now = new Date()) => {
+  const result = await Thread.updateMany(
+    { isPinned: true, pinExpiresAt: { $lte: now } },
+    {
+      $set: { isPinned: false, pinScope: null, pinnedGlobally: false },
+      $unset: { pinExpiresAt: '', pinnedBy: '', pinnedAt: '' },
+      $push: { moderationLog: { action: 'unpin', moderator: null, reason: 'Pin expired', createdAt: now } }
+    }
+  );
+  return result.modifiedCount;
+};
+
+// Lock unpinned threads with no activity for `days` days
+const autoLockInactiveThreads = async (days, now = new Date()) => {
+  if (!days || days <= 0) {
+    return 0;
+  }
+
+  const reason = `Automatically locked after ${days} days of inactivity`;
+  const result = await Thread.updateMany(
+    {
+      isLocked: false,
+      isPinned: false,
+      lastActivity: { $lt: new Date(now.getTime() - days * 24 * 60 * 60 * 1000) }
+    },
+    {
+      $set: { isLocked: true, lockReason: reason, lockedAt: now },
+      $unset: { lockedBy: '' },
+      $push: { moderationLog: { action: 'auto-lock', moderator: null, reason, createdAt: now } }
+    }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  recordModeration,
+  clearPin,
+  isPinActive,
+  activePinExpression,
+  activePinFilter,
+  expirePins,
+  autoLockInactiveThreads
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Raised for refresh tokens that cannot be used; routes answer with its status
+class TokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+  }
+}
+
+// `issuedAt` is the issue time in milliseconds: a JWT's iat has whole seconds
+// only, too coarse to tell tokens from a revocation in the same second
+const generateAccessToken = (userId) => {
+  return jwt.sign({ userId, issuedAt: Date.now() }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Store a new refresh token and return it. Only its hash is kept.
+const createRefreshToken = async (userId, family = new mongoose.Types.ObjectId()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Access and refresh tokens for a fresh login
+const issueTokens = async (userId) => ({
+  token: generateAccessToken(userId),
+  refreshToken: await createRefreshToken(userId)
+});
+
+const revokeFamily = (family) => {
+  return RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+// Trade a refresh token for a new access token and refresh token. A token that
+// was already used or revoked revokes its whole family, ending the session for
+// whoever holds the latest token too.
+const rotateRefreshToken = async (token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  if (stored.usedAt || stored.revokedAt) {
+    await revokeFamily(stored.family);
+    throw new TokenError('Refresh token has already been used');
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw new TokenError('Refresh token has expired');
+  }
+
+  const user = await User.findById(stored.user).select('-password');
+  if (user && user.liftExpiredSuspension()) {
+    await user.save({ validateModifiedOnly: true });
+  }
+
+  if (!user || user.isTokenRevoked(stored.createdAt)) {
+    await revokeFamily(stored.family);
+    throw new TokenError('Invalid refresh token');
+  }
+
+  // A suspended user keeps the session and can refresh again once it ends
+  if (!user.isActive) {
+    const restriction = user.getRestriction();
+    throw restriction
+      ? new TokenError(user.getRestrictionMessage(), 403)
+      : new TokenError('Invalid refresh token');
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, usedAt: null, revokedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!claimed) {
+    await revokeFamily(stored.family);
+    throw new TokenError('Refresh token has already been used');
+  }
+
+  return {
+    user,
+    token: generateAccessToken(user._id),
+    refreshToken: await createRefreshToken(user._id, stored.family)
+  };
+};
+
+// Log out one session. Unknown tokens are ignored.
+const revokeRefreshToken = async (token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) }).select('family');
+  if (stored) {
+    await revokeFamily(stored.family);
+  }
+};
+
+// Log out everywhere: revoke every refresh token and reject every access token
+// issued so far
+const revokeAllTokens = async (userId) => {
+  await User.updateOne({ _id: userId }, { $set: { tokensValidAfter: new Date() } });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+module.exports = {
+  TokenError,
+  ACCESS_TOKEN_TTL,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens
+};
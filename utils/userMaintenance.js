@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Lift suspensions that have ended. Reads already treat those accounts as
+// active; this clears the suspension fields and restores isActive.
+const runUserMaintenance = async () => {
+  const result = await User.liftExpiredSuspensions();
+
+  console.log(`Lifted ${result.modifiedCount} expired suspensions`);
+  return { lifted: result.modifiedCount };
+};
+
+module.exports = runUserMaintenance;
+
+// Run from a scheduler, e.g. hourly from cron
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/forum_db', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return runUserMaintenance();
+  })
+  .then(() => {
+    console.log('User maintenance completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('User maintenance failed:', err);
+    process.exit(1);
+  });
+}